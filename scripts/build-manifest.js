@@ -0,0 +1,69 @@
+// Writes public/data/manifest.json from the dataset folders next to it.
+// Usage: npm run manifest
+//
+// Each public/data/<id>/dataset_360.json contributes one entry. name, date and
+// thumbnail are taken from the dataset JSON when present; otherwise the folder
+// name and the file's modification date are used, and the thumbnail is the
+// first frame's multires preview (images_360/tiles/<image>/preview.webp, see
+// tile-panoramas.js) or a small thumbnail.webp cut from that frame – never the
+// full-size panorama.
+
+import fs from "node:fs";
+import path from "node:path";
+import sharp from "sharp";
+
+const DATA_DIR = path.resolve(process.argv[2] ?? "public/data");
+const OUT = path.join(DATA_DIR, "manifest.json");
+const THUMB_NAME = "thumbnail.webp";
+const THUMB_WIDTH = 192; // picker shows 48 px – room for high-DPI screens
+
+const firstImage = (frames) => {
+  const f = frames?.[0];
+  return f?.image_path || f?.image || f?.img || f?.texture || null;
+};
+
+const newerThan = (a, b) => fs.existsSync(a) && fs.statSync(a).mtimeMs >= fs.statSync(b).mtimeMs;
+
+// Thumbnail path relative to the dataset folder, or null
+async function thumbnailFor(datasetDir, image) {
+  if (!image) return null;
+  const src = path.join(datasetDir, image);
+  const { dir, name } = path.parse(image);
+  const preview = path.join(dir, "tiles", name, "preview.webp");
+  if (fs.existsSync(path.join(datasetDir, preview))) return preview.split(path.sep).join("/");
+
+  if (!fs.existsSync(src)) {
+    console.warn(`[MANIFEST] ⚠️ No thumbnail for ${path.basename(datasetDir)}: ${image} not found`);
+    return null;
+  }
+  const thumb = path.join(datasetDir, THUMB_NAME);
+  if (!newerThan(thumb, src)) {
+    await sharp(src).resize({ width: THUMB_WIDTH }).webp({ quality: 70 }).toFile(thumb);
+  }
+  return THUMB_NAME;
+}
+
+const dirs = fs.readdirSync(DATA_DIR, { withFileTypes: true }).filter((d) => d.isDirectory());
+const entries = [];
+for (const d of dirs) {
+  const datasetDir = path.join(DATA_DIR, d.name);
+  const file = path.join(datasetDir, "dataset_360.json");
+  if (!fs.existsSync(file)) continue;
+  try {
+    const json = JSON.parse(fs.readFileSync(file, "utf8"));
+    const frames = Array.isArray(json.frames) ? json.frames : [];
+    entries.push({
+      id: d.name,
+      name: json.name || d.name,
+      date: json.date || json.captured_at || fs.statSync(file).mtime.toISOString().slice(0, 10),
+      frames: frames.length,
+      thumbnail: json.thumbnail || (await thumbnailFor(datasetDir, firstImage(frames))),
+    });
+  } catch (err) {
+    console.warn(`[MANIFEST] ⚠️ Skipping ${d.name}: ${err.message}`);
+  }
+}
+entries.sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+
+fs.writeFileSync(OUT, JSON.stringify({ datasets: entries }, null, 2) + "\n");
+console.log(`[MANIFEST] ✅ ${entries.length} datasets → ${path.relative(process.cwd(), OUT)}`);
@@ -0,0 +1,23 @@
+// Converts a COLMAP images.txt, OpenSfM reconstruction.json or CSV trajectory
+// into dataset_360.json (see src/utils/trajectoryImporters.js).
+// Usage: npm run import-trajectory -- <input> [output]
+//   output defaults to dataset_360.json next to the input
+
+import fs from "node:fs";
+import path from "node:path";
+import { importTrajectory } from "../src/utils/trajectoryImporters.js";
+
+const [input, output] = process.argv.slice(2);
+if (!input) {
+  console.error("Usage: npm run import-trajectory -- <images.txt | reconstruction.json | trajectory.csv> [output]");
+  process.exit(1);
+}
+
+const out = output ?? path.join(path.dirname(input), "dataset_360.json");
+const dataset = importTrajectory(input, fs.readFileSync(input, "utf8"));
+const withOrientation = dataset.frames.filter((f) => f.orientation).length;
+
+fs.writeFileSync(out, JSON.stringify(dataset, null, 2) + "\n");
+console.log(
+  `[IMPORT] ✅ ${dataset.frames.length} frames (${withOrientation} with orientation) from ${dataset.source} → ${out}`
+);
@@ -0,0 +1,106 @@
+// Cuts the equirectangular panoramas of a folder (usually a dataset's
+// images_360) into multires tiles for the pano viewer (src/lib/multiresPanorama.js):
+//
+//   images_360/tiles/index.json                   – every tiled image's levels
+//   images_360/tiles/<image>/preview.webp         – low-res preview, shown first
+//   images_360/tiles/<image>/<level>/<row>_<col>.webp
+//
+// Level 0 is 2048 px wide (4 × 2 tiles of 512 px); each level doubles until
+// the source width is reached. Images whose tiles are newer are skipped.
+// Usage: npm run tile-panoramas -- <images folder> [--tile 512] [--preview 1024] [--quality 80] [--force]
+
+import fs from "node:fs";
+import path from "node:path";
+import sharp from "sharp";
+
+const IMAGE_EXT = /\.(webp|jpe?g|png)$/i;
+const MIN_LEVEL_TILES = 4; // tiles across level 0
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 ? Number(args[i + 1]) : fallback;
+};
+const dir = args.find((a, i) => !a.startsWith("--") && !args[i - 1]?.startsWith("--"));
+if (!dir) {
+  console.error("Usage: npm run tile-panoramas -- <images folder> [--tile 512] [--preview 1024] [--quality 80] [--force]");
+  process.exit(1);
+}
+
+const tileSize = option("tile", 512);
+const previewWidth = option("preview", 1024);
+const quality = option("quality", 80);
+const force = args.includes("--force");
+
+const tilesDir = path.join(dir, "tiles");
+const indexPath = path.join(tilesDir, "index.json");
+const index = fs.existsSync(indexPath) ? JSON.parse(fs.readFileSync(indexPath, "utf8")) : { images: {} };
+if (index.tileSize !== tileSize) index.images = {}; // tile size changed → everything is redone
+index.tileSize = tileSize;
+
+// Level widths: 2048, 4096, … up to the source width (last level = source size)
+function levelWidths(width) {
+  const widths = [];
+  for (let w = tileSize * MIN_LEVEL_TILES; w < width; w *= 2) widths.push(w);
+  widths.push(width);
+  return widths;
+}
+
+async function tileImage(file) {
+  const name = path.parse(file).name;
+  const src = path.join(dir, file);
+  const out = path.join(tilesDir, name);
+  if (!force && index.images[name] && fs.existsSync(out) && fs.statSync(out).mtimeMs > fs.statSync(src).mtimeMs) {
+    return false;
+  }
+
+  const { width, height } = await sharp(src).metadata();
+  fs.rmSync(out, { recursive: true, force: true });
+  fs.mkdirSync(out, { recursive: true });
+
+  await sharp(src)
+    .resize(Math.min(previewWidth, width), Math.round(Math.min(previewWidth, width) / 2))
+    .webp({ quality })
+    .toFile(path.join(out, "preview.webp"));
+
+  const levels = [];
+  for (const [level, w] of levelWidths(width).entries()) {
+    const h = Math.round((w * height) / width);
+    const { data, info } = await sharp(src).resize(w, h).raw().toBuffer({ resolveWithObject: true });
+    const cols = Math.ceil(w / tileSize);
+    const rows = Math.ceil(h / tileSize);
+    fs.mkdirSync(path.join(out, String(level)));
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const left = col * tileSize;
+        const top = row * tileSize;
+        await sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+          .extract({ left, top, width: Math.min(tileSize, w - left), height: Math.min(tileSize, h - top) })
+          .webp({ quality })
+          .toFile(path.join(out, String(level), `${row}_${col}.webp`));
+      }
+    }
+    levels.push({ width: w, height: h, cols, rows });
+  }
+
+  index.images[name] = { width, height, levels };
+  return true;
+}
+
+const files = fs.readdirSync(dir).filter((f) => IMAGE_EXT.test(f)).sort();
+if (!files.length) {
+  console.error(`[TILES] No panoramas (${IMAGE_EXT}) in ${dir}`);
+  process.exit(1);
+}
+fs.mkdirSync(tilesDir, { recursive: true });
+
+let done = 0;
+for (const [i, file] of files.entries()) {
+  if (await tileImage(file)) done++;
+  process.stdout.write(`\r[TILES] ${i + 1}/${files.length} ${file}   `);
+  // Keep the index current so an interrupted run resumes where it stopped
+  fs.writeFileSync(indexPath, JSON.stringify(index) + "\n");
+}
+
+console.log(`\n[TILES] ✅ ${done} tiled, ${files.length - done} up to date → ${indexPath}`);
@@ -0,0 +1,334 @@
+/** BoundaryEditor.jsx – draw / edit the model boundary on the Forge floor */
+import React, { useEffect, useRef, useState, useCallback } from "react";
+import { DEFAULT_BOUNDARY, LEGACY_CLAMP_BOUNDARY, normalizeBoundary } from "../utils/modelBoundary";
+
+const THREE = (typeof window !== "undefined" && window.THREE) ? window.THREE : null;
+
+// Editable copy: rings may have < 3 vertices while being drawn
+const toDraft = (boundary) => {
+  const b = normalizeBoundary(boundary) ?? { z: 0, polygons: [] };
+  return { z: b.z, polygons: b.polygons.map(p => ({ outer: [...p.outer], holes: p.holes.map(h => [...h]) })) };
+};
+
+// ring: -1 = outer, n = hole n
+const getRing = (draft, { poly, ring }) => {
+  const p = draft.polygons[poly];
+  if (!p) return null;
+  return ring < 0 ? p.outer : p.holes[ring] ?? null;
+};
+
+const withRing = (draft, { poly, ring }, fn) => ({
+  ...draft,
+  polygons: draft.polygons.map((p, i) => {
+    if (i !== poly) return p;
+    return ring < 0
+      ? { ...p, outer: fn(p.outer) }
+      : { ...p, holes: p.holes.map((h, k) => (k === ring ? fn(h) : h)) };
+  }),
+});
+
+/**
+ * Props:
+ *   viewer   – GuiViewer3D
+ *   boundary – saved boundary (or null → default outline)
+ *   toLocal  – (x, y, z, viewer) → THREE.Vector3 viewer-local
+ *   toWorld  – (localVec, viewer) → [x, y, z] Forge meters
+ *   onSave(boundary) / onCancel()
+ */
+export default function BoundaryEditor({ viewer, boundary, toLocal, toWorld, onSave, onCancel }) {
+  const [draft, setDraft] = useState(() => toDraft(boundary ?? DEFAULT_BOUNDARY));
+  const [active, setActive] = useState({ poly: 0, ring: -1 });
+  const [drag, setDrag] = useState(null); // { poly, ring, idx }
+  const [, setCameraTick] = useState(0);
+  // Latest draft for the DOM click listener
+  const draftRef = useRef(draft);
+  draftRef.current = draft;
+
+  /* ------------------------------------------------------------------ */
+  /* Screen ↔ floor                                                     */
+  /* ------------------------------------------------------------------ */
+  const toScreen = useCallback(([x, y]) => {
+    const p = viewer.worldToClient(toLocal(x, y, draft.z, viewer));
+    return [p.x, p.y];
+  }, [viewer, toLocal, draft.z]);
+
+  // Viewer-relative client point → floor plane at the boundary height (meters)
+  const toFloor = useCallback((cx, cy, z = draft.z) => {
+    const vp = viewer.impl.clientToViewport(cx, cy);
+    const ray = new THREE.Ray();
+    viewer.impl.viewportToRay(vp, ray);
+    const planeZ = toLocal(0, 0, z, viewer).z;
+    const hit = ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 0, 1), -planeZ), new THREE.Vector3());
+    return hit ? toWorld(hit, viewer) : null;
+  }, [viewer, toLocal, toWorld, draft.z]);
+
+  const clientPoint = useCallback((e) => {
+    const rect = viewer.container.getBoundingClientRect();
+    return [e.clientX - rect.left, e.clientY - rect.top];
+  }, [viewer]);
+
+  // Redraw the overlay whenever the camera moves
+  useEffect(() => {
+    const V = window.Autodesk.Viewing;
+    const onCamera = () => setCameraTick(t => t + 1);
+    viewer.addEventListener(V.CAMERA_CHANGE_EVENT, onCamera);
+    return () => viewer.removeEventListener(V.CAMERA_CHANGE_EVENT, onCamera);
+  }, [viewer]);
+
+  /* ------------------------------------------------------------------ */
+  /* Click the floor → append a vertex to the active ring               */
+  /* ------------------------------------------------------------------ */
+  useEffect(() => {
+    const el = viewer.container;
+    let down = null;
+
+    const onDown = (e) => {
+      down = { x: e.clientX, y: e.clientY };
+    };
+
+    const onClick = (e) => {
+      // Ignore the click that ends an orbit/pan drag
+      if (down && Math.hypot(e.clientX - down.x, e.clientY - down.y) > 4) return;
+      const [cx, cy] = clientPoint(e);
+
+      let next = draftRef.current;
+      let target = active;
+      let z = next.z;
+
+      // First vertex of the whole boundary sets the floor height
+      if (!next.polygons.some(p => p.outer.length)) {
+        const hit = viewer.impl.hitTest(cx, cy, true);
+        if (hit?.intersectPoint) z = toWorld(hit.intersectPoint, viewer)[2];
+      }
+
+      const pt = toFloor(cx, cy, z);
+      if (!pt) return;
+
+      if (!getRing(next, target)) {
+        next = { ...next, polygons: [...next.polygons, { outer: [], holes: [] }] };
+        target = { poly: next.polygons.length - 1, ring: -1 };
+        setActive(target);
+      }
+      setDraft(withRing({ ...next, z }, target, ring => [...ring, [pt[0], pt[1]]]));
+    };
+
+    el.addEventListener("mousedown", onDown);
+    el.addEventListener("click", onClick);
+    el.style.cursor = "crosshair";
+
+    return () => {
+      el.removeEventListener("mousedown", onDown);
+      el.removeEventListener("click", onClick);
+      el.style.cursor = "";
+    };
+  }, [viewer, active, clientPoint, toFloor, toWorld]);
+
+  /* ------------------------------------------------------------------ */
+  /* Vertex handles                                                     */
+  /* ------------------------------------------------------------------ */
+  const onHandleDown = (e, poly, ring, idx) => {
+    e.stopPropagation();
+    e.preventDefault();
+    setActive({ poly, ring });
+    if (e.button === 2) return;
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    setDrag({ poly, ring, idx });
+  };
+
+  const onHandleMove = (e) => {
+    if (!drag) return;
+    const [cx, cy] = clientPoint(e);
+    const pt = toFloor(cx, cy);
+    if (!pt) return;
+    setDraft(prev => withRing(prev, drag, ring => ring.map((p, i) => (i === drag.idx ? [pt[0], pt[1]] : p))));
+  };
+
+  const removeVertex = (e, poly, ring, idx) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDraft(prev => withRing(prev, { poly, ring }, r => r.filter((_, i) => i !== idx)));
+  };
+
+  const insertVertex = (e, poly, ring, idx, pt) => {
+    e.stopPropagation();
+    setActive({ poly, ring });
+    setDraft(prev => withRing(prev, { poly, ring }, r => [...r.slice(0, idx + 1), pt, ...r.slice(idx + 1)]));
+  };
+
+  /* ------------------------------------------------------------------ */
+  /* Toolbar actions                                                    */
+  /* ------------------------------------------------------------------ */
+  const newPolygon = () => {
+    setDraft(prev => ({ ...prev, polygons: [...prev.polygons, { outer: [], holes: [] }] }));
+    setActive({ poly: draft.polygons.length, ring: -1 });
+  };
+
+  const addHole = () => {
+    if (!draft.polygons[active.poly]) {
+      alert("Select a polygon first (click one of its vertices).");
+      return;
+    }
+    const holeIdx = draft.polygons[active.poly].holes.length;
+    setDraft(prev => ({
+      ...prev,
+      polygons: prev.polygons.map((p, i) => (i === active.poly ? { ...p, holes: [...p.holes, []] } : p)),
+    }));
+    setActive({ poly: active.poly, ring: holeIdx });
+  };
+
+  const deleteRing = () => {
+    const { poly, ring } = active;
+    if (!draft.polygons[poly]) return;
+    setDraft(prev => ({
+      ...prev,
+      polygons: ring < 0
+        ? prev.polygons.filter((_, i) => i !== poly)
+        : prev.polygons.map((p, i) => (i === poly ? { ...p, holes: p.holes.filter((_, k) => k !== ring) } : p)),
+    }));
+    setActive({ poly: ring < 0 ? Math.max(0, poly - 1) : poly, ring: -1 });
+  };
+
+  // Start over from the feet outline the old camera clamp used (converted to meters)
+  const loadLegacyOutline = () => {
+    if (!confirm("Replace the drawn polygons with the legacy clamp outline?")) return;
+    setDraft(prev => ({ ...toDraft(LEGACY_CLAMP_BOUNDARY), z: prev.z }));
+    setActive({ poly: 0, ring: -1 });
+  };
+
+  const save = () => {
+    const normalized = normalizeBoundary(draft);
+    if (!normalized) {
+      alert("Draw at least one polygon with 3 or more vertices.");
+      return;
+    }
+    const dropped = draft.polygons.reduce(
+      (n, p) => n + [p.outer, ...p.holes].filter(r => r.length > 0 && r.length < 3).length, 0
+    );
+    if (dropped && !confirm(`${dropped} ring(s) with fewer than 3 vertices will be dropped. Save anyway?`)) return;
+    onSave(normalized);
+  };
+
+  /* ------------------------------------------------------------------ */
+  /* Render                                                             */
+  /* ------------------------------------------------------------------ */
+  const rings = [];
+  draft.polygons.forEach((p, poly) => {
+    rings.push({ poly, ring: -1, pts: p.outer });
+    p.holes.forEach((h, ring) => rings.push({ poly, ring, pts: h }));
+  });
+  const isActive = (r) => r.poly === active.poly && r.ring === active.ring;
+
+  // One path per polygon; even-odd fill cuts the holes out
+  const ringPath = (pts) => pts.map(toScreen).map(([x, y], i) => `${i ? "L" : "M"}${x},${y}`).join(" ") + " Z";
+
+  return (
+    <>
+      <svg
+        onPointerMove={onHandleMove}
+        onPointerUp={() => setDrag(null)}
+        style={{ position: "absolute", inset: 0, width: "100%", height: "100%", pointerEvents: drag ? "auto" : "none", zIndex: 9 }}
+      >
+        {draft.polygons.map((p, poly) => (
+          <path
+            key={`fill-${poly}`}
+            d={[p.outer, ...p.holes].filter(r => r.length >= 3).map(ringPath).join(" ")}
+            fill="rgba(16, 185, 129, 0.15)"
+            fillRule="evenodd"
+          />
+        ))}
+        {rings.map(r => (
+          <polyline
+            key={`edge-${r.poly}-${r.ring}`}
+            points={[...r.pts, ...(r.pts.length >= 3 ? [r.pts[0]] : [])].map(toScreen).map(p => p.join(",")).join(" ")}
+            fill="none"
+            stroke={r.ring < 0 ? "#059669" : "#dc2626"}
+            strokeWidth={isActive(r) ? 3 : 1.5}
+            strokeDasharray={r.ring < 0 ? undefined : "6 4"}
+          />
+        ))}
+        {rings.map(r => r.pts.length >= 2 && r.pts.map((a, i) => {
+          if (r.pts.length < 3 && i === r.pts.length - 1) return null;
+          const b = r.pts[(i + 1) % r.pts.length];
+          const mid = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+          const [x, y] = toScreen(mid);
+          return (
+            <circle
+              key={`mid-${r.poly}-${r.ring}-${i}`}
+              cx={x}
+              cy={y}
+              r={4}
+              fill="white"
+              stroke="#6b7280"
+              style={{ pointerEvents: "auto", cursor: "copy" }}
+              onPointerDown={e => insertVertex(e, r.poly, r.ring, i, mid)}
+            >
+              <title>Insert vertex</title>
+            </circle>
+          );
+        }))}
+        {rings.map(r => r.pts.map((pt, i) => {
+          const [x, y] = toScreen(pt);
+          return (
+            <circle
+              key={`v-${r.poly}-${r.ring}-${i}`}
+              cx={x}
+              cy={y}
+              r={6}
+              fill={isActive(r) ? (r.ring < 0 ? "#059669" : "#dc2626") : "white"}
+              stroke={r.ring < 0 ? "#059669" : "#dc2626"}
+              strokeWidth={2}
+              style={{ pointerEvents: "auto", cursor: "move" }}
+              onPointerDown={e => onHandleDown(e, r.poly, r.ring, i)}
+              onContextMenu={e => removeVertex(e, r.poly, r.ring, i)}
+            >
+              <title>Drag to move · right-click to delete</title>
+            </circle>
+          );
+        }))}
+      </svg>
+
+      <div
+        style={{
+          position: "absolute",
+          top: 8,
+          left: 8,
+          zIndex: 10,
+          background: "white",
+          borderRadius: 8,
+          padding: 8,
+          boxShadow: "0 2px 8px rgba(0,0,0,0.25)",
+          fontSize: 12,
+          maxWidth: 340,
+        }}
+      >
+        <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 6 }}>
+          <button onClick={newPolygon} style={btnStyle("#059669")}>New polygon</button>
+          <button onClick={addHole} style={btnStyle("#dc2626")}>Add hole</button>
+          <button onClick={deleteRing} style={btnStyle("#6b7280")}>
+            Delete {active.ring < 0 ? "polygon" : "hole"}
+          </button>
+          <button onClick={loadLegacyOutline} style={btnStyle("#6b7280")}>Legacy outline</button>
+        </div>
+        <div style={{ color: "#555", marginBottom: 6 }}>
+          Click the floor to add vertices to the highlighted {active.ring < 0 ? "outline" : "hole"}.
+          Drag a vertex to move it, right-click to delete it, click a small dot to insert one.
+        </div>
+        <div style={{ display: "flex", gap: 6, justifyContent: "flex-end" }}>
+          <button onClick={onCancel} style={btnStyle("#6b7280")}>Cancel</button>
+          <button onClick={save} style={btnStyle("#10b981")}>Save boundary</button>
+        </div>
+      </div>
+    </>
+  );
+}
+
+const btnStyle = (bg) => ({
+  padding: "4px 10px",
+  background: bg,
+  color: "white",
+  border: "none",
+  borderRadius: 6,
+  cursor: "pointer",
+  fontWeight: "bold",
+  fontSize: 12,
+});
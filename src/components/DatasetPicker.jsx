@@ -0,0 +1,182 @@
+/** DatasetPicker.jsx – switch the loaded 360° capture at runtime, or open one from disk */
+import React, { useEffect, useRef, useState } from "react";
+import { useSyncStore } from "../store/syncStore";
+import { loadDatasetManifest } from "../utils/datasetManifest";
+import {
+  canPickDirectory,
+  filesFromDirectoryPicker,
+  filesFromInput,
+  registerLocalDataset,
+} from "../utils/localDataset";
+
+const formatDate = (date) => {
+  if (!date) return null;
+  const d = new Date(date);
+  return isNaN(d) ? String(date) : d.toLocaleDateString();
+};
+
+export default function DatasetPicker() {
+  const {
+    datasetId,
+    setDatasetId,
+    localDatasets,
+    addLocalDataset,
+    calibPick,
+    orientationCapture,
+    regressionCapture,
+  } = useSyncStore();
+  const [manifest, setManifest] = useState([]);
+  const [open, setOpen] = useState(false);
+  const folderInputRef = useRef(null);
+  const zipInputRef = useRef(null);
+
+  useEffect(() => {
+    let alive = true;
+    loadDatasetManifest().then((list) => alive && setManifest(list));
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  // Picked pairs and recorded samples belong to the loaded dataset
+  const busy = Boolean(calibPick || orientationCapture || regressionCapture);
+  const datasets = [...manifest, ...localDatasets];
+  const current = datasets.find((d) => d.id === datasetId);
+
+  const pick = (id) => {
+    setOpen(false);
+    if (id === datasetId) return;
+    console.log("[DATASET] Switching", datasetId, "→", id);
+    setDatasetId(id);
+  };
+
+  // Capture folder / zip from disk → registered as "local:<name>" and loaded
+  const openLocal = async (read) => {
+    setOpen(false);
+    try {
+      const source = await read();
+      if (!source) return;
+      const entry = await registerLocalDataset(source);
+      addLocalDataset(entry);
+      setDatasetId(entry.id);
+    } catch (err) {
+      console.error("[LOCAL] Could not open capture:", err);
+      alert("Could not open the capture: " + err.message);
+    }
+  };
+
+  const openFolder = () => {
+    if (canPickDirectory()) openLocal(filesFromDirectoryPicker);
+    else folderInputRef.current?.click();
+  };
+
+  const onInputChange = (e) => {
+    const files = e.target.files;
+    if (files?.length) openLocal(() => filesFromInput(files));
+    e.target.value = "";
+  };
+
+  return (
+    <div style={{ position: "relative" }}>
+      <button
+        onClick={() => setOpen((o) => !o)}
+        disabled={busy}
+        title={busy ? "Finish picking / capturing before switching datasets" : "Switch dataset"}
+        style={{ ...triggerStyle, opacity: busy ? 0.5 : 1 }}
+      >
+        📷 {current?.name ?? datasetId} ▾
+      </button>
+
+      {open && (
+        <div style={listStyle}>
+          {datasets.map((d) => (
+            <div
+              key={d.id}
+              onClick={() => pick(d.id)}
+              style={{ ...rowStyle, background: d.id === datasetId ? "#eff6ff" : "white" }}
+            >
+              {d.thumbnail ? (
+                <img src={d.thumbnail} alt="" style={thumbStyle} />
+              ) : (
+                <div style={{ ...thumbStyle, display: "flex", alignItems: "center", justifyContent: "center" }}>📷</div>
+              )}
+              <div style={{ minWidth: 0 }}>
+                <div style={{ fontWeight: 600 }}>{d.name}</div>
+                <div style={{ fontSize: 11, color: "#6b7280" }}>
+                  {[d.id !== d.name && d.id, formatDate(d.date), d.frames != null && `${d.frames} frames`]
+                    .filter(Boolean)
+                    .join(" · ") || d.id}
+                </div>
+              </div>
+            </div>
+          ))}
+          <div style={{ display: "flex", gap: 6, padding: 8 }}>
+            <button onClick={openFolder} style={openBtnStyle}>Open folder…</button>
+            <button onClick={() => zipInputRef.current?.click()} style={openBtnStyle}>Open .zip…</button>
+          </div>
+        </div>
+      )}
+
+      <input ref={folderInputRef} type="file" webkitdirectory="" multiple hidden onChange={onInputChange} />
+      <input ref={zipInputRef} type="file" accept=".zip" hidden onChange={onInputChange} />
+    </div>
+  );
+}
+
+/* ------------------------------------------------------------------ */
+/*  Styles                                                            */
+/* ------------------------------------------------------------------ */
+const triggerStyle = {
+  padding: "8px 12px",
+  background: "#374151",
+  color: "white",
+  border: "none",
+  borderRadius: 6,
+  cursor: "pointer",
+  fontWeight: "bold",
+  height: 40,
+  whiteSpace: "nowrap",
+};
+
+const listStyle = {
+  position: "absolute",
+  top: 46,
+  right: 0,
+  width: 280,
+  maxHeight: "60vh",
+  overflowY: "auto",
+  background: "white",
+  borderRadius: 8,
+  boxShadow: "0 8px 24px rgba(0,0,0,0.35)",
+  fontSize: 13,
+};
+
+const rowStyle = {
+  display: "flex",
+  gap: 10,
+  alignItems: "center",
+  padding: 8,
+  cursor: "pointer",
+  borderBottom: "1px solid #f3f4f6",
+};
+
+const thumbStyle = {
+  width: 64,
+  height: 32,
+  objectFit: "cover",
+  borderRadius: 4,
+  background: "#e5e7eb",
+  flexShrink: 0,
+};
+
+const openBtnStyle = {
+  flex: 1,
+  padding: "6px 8px",
+  background: "#3b82f6",
+  color: "white",
+  border: "none",
+  borderRadius: 4,
+  cursor: "pointer",
+  fontSize: 12,
+  fontWeight: "bold",
+};
@@ -0,0 +1,87 @@
+/** DatasetReport.jsx – load report of the current dataset_360.json */
+import React, { useState } from "react";
+import { useSyncStore } from "../store/syncStore";
+
+const STATUS = {
+  ok: { color: "#10b981", icon: "✅", label: "Dataset OK" },
+  warning: { color: "#f59e0b", icon: "⚠️", label: "Dataset loaded with issues" },
+  error: { color: "#ef4444", icon: "❌", label: "Dataset not loaded" },
+  demo: { color: "#8b5cf6", icon: "🧪", label: "Demo data" },
+};
+
+// Long index lists are cut short: "3, 17, 18 … (+40)"
+const listIndices = (indices, max = 12) =>
+  indices.slice(0, max).join(", ") + (indices.length > max ? ` … (+${indices.length - max})` : "");
+
+export default function DatasetReport() {
+  const report = useSyncStore((s) => s.datasetReport);
+  const [open, setOpen] = useState(false);
+  if (!report) return null;
+
+  const status = STATUS[report.status] ?? STATUS.warning;
+  const defaulted = Object.entries(report.defaulted);
+  const aliases = Object.entries(report.aliases);
+
+  const rows = [
+    ...report.errors.map((e) => ["Error", e]),
+    report.source && ["Imported from", report.source],
+    report.nanPositions.length && ["Invalid positions (dropped)", `frames ${listIndices(report.nanPositions)}`],
+    report.duplicates.length && [
+      "Duplicate frames (dropped)",
+      report.duplicates.slice(0, 8).map((d) => `${d.index} = ${d.of}`).join(", ") +
+        (report.duplicates.length > 8 ? ` … (+${report.duplicates.length - 8})` : ""),
+    ],
+    report.badOrientations.length && ["Invalid orientation (ignored)", `frames ${listIndices(report.badOrientations)}`],
+    report.badTimestamps.length && ["Invalid / out-of-order timestamp", `frames ${listIndices(report.badTimestamps)}`],
+    report.missingImages.length && ["No image", `frames ${listIndices(report.missingImages)}`],
+    report.failedImages.length && ["Images failed to load", report.failedImages.slice(0, 8).join(", ")],
+    ...defaulted.map(([field, idx]) => [`Defaulted ${field}`, `${idx.length} frames: ${listIndices(idx)}`]),
+    aliases.length && ["Legacy field names", aliases.map(([k, n]) => `${k} ×${n}`).join(", ")],
+  ].filter(Boolean);
+
+  return (
+    <div style={{ ...panelStyle, borderColor: status.color }}>
+      <div onClick={() => setOpen((o) => !o)} style={{ cursor: "pointer", color: status.color, fontWeight: "bold" }}>
+        {status.icon} {status.label} · {report.datasetId}
+        <span style={{ color: "#ddd", fontWeight: "normal" }}>
+          {" · "}{report.loaded}/{report.total} frames{rows.length ? ` · ${rows.length} notes ${open ? "▴" : "▾"}` : ""}
+        </span>
+      </div>
+
+      {report.status === "error" && (
+        <div style={{ marginTop: 6, color: "#ddd" }}>
+          Set <code>VITE_DEMO_DATA=true</code> (or open with <code>?demo</code>) to walk a synthetic path instead.
+        </div>
+      )}
+
+      {open && rows.length > 0 && (
+        <table style={{ marginTop: 8, borderCollapse: "collapse", color: "#ddd" }}>
+          <tbody>
+            {rows.map(([label, text], i) => (
+              <tr key={i}>
+                <td style={{ padding: "2px 10px 2px 0", verticalAlign: "top", whiteSpace: "nowrap", opacity: 0.7 }}>{label}</td>
+                <td style={{ padding: "2px 0", wordBreak: "break-all" }}>{text}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+const panelStyle = {
+  position: "absolute",
+  bottom: 80,
+  left: 20,
+  maxWidth: 420,
+  maxHeight: "40%",
+  overflowY: "auto",
+  background: "rgba(0,0,0,0.8)",
+  border: "2px solid",
+  padding: "8px 12px",
+  borderRadius: 6,
+  fontFamily: "monospace",
+  fontSize: 12,
+  zIndex: 10,
+};
@@ -1,12 +1,65 @@
 /** ForgeViewer.jsx */
-import React, { useEffect, useRef, useState, useCallback } from "react";
-import { getOAuthToken } from "../lib/api";
+import React, { useEffect, useRef, useState, useCallback, useMemo } from "react";
+import { getOAuthToken, getUnits } from "../lib/api";
 import { useSyncStore, syncHelpers } from "../store/syncStore";
-import { calculateCalibration, panoToForge,  } from "../utils/calibratePanoToForge";
-import {  transformQuaternion, transformQuaternionMirrored } from "../utils/camera_transformation";
+import { panoToForge } from "../utils/calibratePanoToForge";
+import { GRADE_COLORS } from "../utils/calibrationQuality";
+import { DEFAULT_ORIENTATION, transformPanoToForgeWithBoundary, transformQuaternion } from "../utils/camera_transformation";
+import { forgeModelUnits, formatLength, matchUnit, UNITS } from "../utils/units";
+import { loadBoundary, saveBoundary } from "../utils/modelBoundary";
+import { resolveRevitLevel } from "../utils/captureLevels";
+import BoundaryEditor from "./BoundaryEditor";
+import LevelPanel from "./LevelPanel";
+import SitePaths from "./SitePaths";
 
 const THREE = (typeof window !== "undefined" && window.THREE) ? window.THREE : null;
 
+// ✅ Model length unit from its metadata; unknown unit ids are looked up in the APS units catalog
+async function resolveModelUnits(model) {
+  const info = forgeModelUnits(model);
+  if (!info.known && info.raw) {
+    try {
+      const data = await getUnits();
+      const entry = (data?.units ?? []).find((u) => u.id === info.raw || u.name === info.raw);
+      const unit = matchUnit(entry?.name) ?? matchUnit(entry?.id);
+      if (unit) Object.assign(info, { unit, known: true, scale: UNITS[unit].toMeters });
+    } catch (err) {
+      console.warn("[FORGE] Unit catalog lookup failed:", err.message);
+    }
+  }
+  console.log(`[FORGE] Model units: ${info.unit} (${info.raw || "no unit string"}, ${info.scale} m/unit)`);
+  if (!info.known) console.warn("[FORGE] ⚠️ Unknown model unit – assuming meters");
+  return info;
+}
+
+// ✅ Revit levels from the AEC model data, via the Levels extension's floor list
+// ({ name, zMin, zMax } in viewer coordinates); empty for models without levels
+async function loadModelLevels(viewer) {
+  try {
+    const ext = await viewer.loadExtension("Autodesk.AEC.LevelsExtension", { doNotCreateUI: true });
+    if (!viewer.model.isLoadDone?.()) {
+      const LOADED = window.Autodesk.Viewing.GEOMETRY_LOADED_EVENT;
+      await new Promise((resolve) => {
+        const onLoaded = () => {
+          viewer.removeEventListener(LOADED, onLoaded);
+          resolve();
+        };
+        viewer.addEventListener(LOADED, onLoaded);
+      });
+    }
+    return ext?.floorSelector?.floorData ?? [];
+  } catch (err) {
+    console.warn("[LEVELS] Levels extension unavailable:", err.message);
+    return [];
+  }
+}
+
+// Upper floor slabs hang below their level line – cut this far under the next level
+const SECTION_BELOW_NEXT_LEVEL = 0.3; // m
+
+// Start position without a calibration, world meters (69.6 / 93.6 / 8 ft in the bundled model)
+const FALLBACK_START = [21.214, 28.529, 2.438];
+
 export default function ForgeViewer({ urn }) {
   const containerRef = useRef(null);
   const viewerRef = useRef(null);
@@ -24,7 +77,6 @@ const PROGRAMMATIC_TOKEN_EXPIRY_MS = 350; // increase slightly so network/raf la
 
 
   const [viewerReady, setViewerReady] = useState(false);
-  const [calibration, setCalibration] = useState(null);
 
   // Store selectors
   const source = useSyncStore((s) => s.source);
@@ -32,17 +84,41 @@ const PROGRAMMATIC_TOKEN_EXPIRY_MS = 350; // increase slightly so network/raf la
   const floorClick = useSyncStore((s) => s.floorClick);
   const floorClickSeq = useSyncStore((s) => s.floorClickSeq);
   const panoCam = useSyncStore((s) => s.panoCam);
+  const calibPick = useSyncStore((s) => s.calibPick);
+  // Calibration is solved once by SplitPane and shared through the store
+  const calibration = useSyncStore((s) => s.calibration);
+  const orientation = useSyncStore((s) => s.orientation);
+  const orientationCapture = useSyncStore((s) => s.orientationCapture);
+  const regressionCapture = useSyncStore((s) => s.regressionCapture);
+  const regression = useSyncStore((s) => s.regression);
+  const modelUnits = useSyncStore((s) => s.modelUnits);
+  const boundary = useSyncStore((s) => s.boundary);
+  const boundaryEditing = useSyncStore((s) => s.boundaryEditing);
+  const setBoundary = useSyncStore((s) => s.setBoundary);
+  const setBoundaryEditing = useSyncStore((s) => s.setBoundaryEditing);
+  const currentPanoIndex = useSyncStore((s) => s.currentPanoIndex);
+  const captureLevels = useSyncStore((s) => s.captureLevels);
+  const revitLevels = useSyncStore((s) => s.revitLevels);
+  const levelMap = useSyncStore((s) => s.levelMap);
+  const levelSectioning = useSyncStore((s) => s.levelSectioning);
+  const setRevitLevels = useSyncStore((s) => s.setRevitLevels);
+  const siteSessions = useSyncStore((s) => s.siteSessions);
+  const datasetId = useSyncStore((s) => s.datasetId);
 
   const setIsSyncing = useSyncStore((s) => s.setIsSyncing);
   const setForgeCam = useSyncStore((s) => s.setForgeCam);
 
   const lastHandledClickSeqRef = useRef(0);
+  const activeLevelRef = useRef(null); // { id, name, revit } of the pano's current capture level
+  const syncedLevelRef = useRef(null); // level of the last pano → Forge sync (+ its Forge Z)
+  const sectionedRef = useRef(false); // cut plane set by level sectioning
 
   /* ------------------------------------------------------------------ */
   /* Helper utilities                                                   */
   /* ------------------------------------------------------------------ */
+  // Meters per model unit – from the loaded model's unit metadata
   const getUnitScale = (viewer) => {
-    return viewer?.model?.getUnitScale?.() ?? 1.0;
+    return useSyncStore.getState().modelUnits?.scale ?? forgeModelUnits(viewer?.model).scale;
   };
 
   const worldToViewerLocal = useCallback((worldX, worldY, worldZ, viewer) => {
@@ -65,35 +141,6 @@ const PROGRAMMATIC_TOKEN_EXPIRY_MS = 350; // increase slightly so network/raf la
     return [rawX * unitScale, rawY * unitScale, rawZ * unitScale];
   }, []);
 
-  /* ------------------------------------------------------------------ */
-  /* 1. Load calibration (once)                                         */
-  /* ------------------------------------------------------------------ */
-  useEffect(() => {
-    const raw = localStorage.getItem("revit-pano-calibration-v2");
-    if (!raw) {
-      console.warn("[CALIB] No calibration in localStorage");
-      return;
-    }
-    try {
-      const pts = JSON.parse(raw);
-      const panoPts = pts.map((p) => [
-        parseFloat(p.pano.x),
-        parseFloat(p.pano.y),
-        parseFloat(p.pano.z),
-      ]);
-      const revitPts = pts.map((p) => [
-        parseFloat(p.revit.x),
-        parseFloat(p.revit.y),
-        parseFloat(p.revit.z),
-      ]);
-      const calib = calculateCalibration(panoPts, revitPts);
-      setCalibration(calib);
-      console.log("[CALIB] Calibration loaded", calib);
-    } catch (e) {
-      console.error("[CALIB] Parse error", e);
-    }
-  }, []);
-
   /* ------------------------------------------------------------------ */
   /* 2. Throttled camera push (user-initiated only)                     */
   /* ------------------------------------------------------------------ */
@@ -200,20 +247,10 @@ const PROGRAMMATIC_TOKEN_EXPIRY_MS = 350; // increase slightly so network/raf la
       let worldZ = startMetersZ ?? 0;
 
       if (worldX === null || worldY === null) {
-        if (calibration) {
-          const {x,y,z} = panoToForge([0, 0, 0], calibration);
-          worldX = x;
-          worldY = y
-          worldZ = z;
-        } else {
-          const scale = viewer ? getUnitScale(viewer) : 0.3048;
-          worldX = 69.6 * scale;
-          worldY = 93.6 * scale;
-          worldZ = 8 * scale;
-        }
+        [worldX, worldY, worldZ] = calibration ? panoToForge([0, 0, 0], calibration) : FALLBACK_START;
       }
 
-      const posLocal = new THREE.Vector3(worldX, worldY, worldZ);
+      const posLocal = worldToViewerLocal(worldX, worldY, worldZ, viewer);
       const target = posLocal.clone().add(new THREE.Vector3(0, -20, 0));
 
       viewer.navigation.toPerspective();
@@ -224,7 +261,7 @@ const PROGRAMMATIC_TOKEN_EXPIRY_MS = 350; // increase slightly so network/raf la
 
   
     },
-    [calibration]
+    [calibration, worldToViewerLocal]
   );
 
   /* ------------------------------------------------------------------ */
@@ -265,10 +302,18 @@ const PROGRAMMATIC_TOKEN_EXPIRY_MS = 350; // increase slightly so network/raf la
         const root = doc?.getRoot?.();
         if (!root) throw new Error("Invalid document – no root");
 
+        // Level data for the Levels extension (Revit models only)
+        try {
+          await doc.downloadAecModelData?.();
+        } catch (err) {
+          console.warn("[LEVELS] No AEC model data:", err?.message);
+        }
+
         const viewables = root.search({ type: "geometry" });
         if (!viewables?.length) throw new Error("No geometry in model");
 
         await viewer.loadDocumentNode(doc, viewables[0]);
+        useSyncStore.getState().setModelUnits(await resolveModelUnits(viewer.model));
 
         removeAllRotationConstraints(viewer);
         viewer.fitToView();
@@ -379,12 +424,129 @@ useEffect(() => {
 
 
 
+  /* ------------------------------------------------------------------ */
+  /* 6a. Model boundary – saved per model URN                           */
+  /* ------------------------------------------------------------------ */
+  useEffect(() => {
+    setBoundary(loadBoundary(urn));
+  }, [urn, setBoundary]);
+
+  const saveEditedBoundary = (edited) => {
+    setBoundary(saveBoundary(urn, edited));
+    setBoundaryEditing(false);
+    console.log("[FORGE] Boundary saved:", edited.polygons.length, "polygon(s)");
+  };
+
+  /* ------------------------------------------------------------------ */
+  /* 6b. Calibration picking – hitTest the clicked model surface        */
+  /* ------------------------------------------------------------------ */
+  useEffect(() => {
+    if (!viewerReady || !viewerRef.current || calibPick?.stage !== "forge") return;
+
+    const viewer = viewerRef.current;
+    const el = viewer.container;
+    let down = null;
+
+    const onDown = (e) => {
+      down = { x: e.clientX, y: e.clientY };
+    };
+
+    const onClick = (e) => {
+      // Ignore the click that ends an orbit/pan drag
+      if (down && Math.hypot(e.clientX - down.x, e.clientY - down.y) > 4) return;
+
+      const rect = el.getBoundingClientRect();
+      const hit = viewer.impl.hitTest(e.clientX - rect.left, e.clientY - rect.top, true);
+      if (!hit?.intersectPoint) {
+        console.warn("[CALIB] Pick missed the model");
+        return;
+      }
+
+      const [x, y, z] = viewerLocalToWorld(hit.intersectPoint, viewer);
+      console.log("[CALIB] Picked Revit point:", [x, y, z]);
+      window.calib?.addRevitPoint?.({ x, y, z });
+    };
+
+    el.addEventListener("mousedown", onDown);
+    el.addEventListener("click", onClick);
+    el.style.cursor = "crosshair";
+
+    return () => {
+      el.removeEventListener("mousedown", onDown);
+      el.removeEventListener("click", onClick);
+      el.style.cursor = "";
+    };
+  }, [viewerReady, calibPick, viewerLocalToWorld]);
+
+  /* ------------------------------------------------------------------ */
+  /* 6c. Levels – Revit levels, current capture level, sectioning       */
+  /* ------------------------------------------------------------------ */
+  useEffect(() => {
+    if (!viewerReady || !viewerRef.current || !THREE) return;
+    const viewer = viewerRef.current;
+    let alive = true;
+
+    (async () => {
+      const floors = await loadModelLevels(viewer);
+      if (!alive) return;
+      const worldZ = (z) => viewerLocalToWorld(new THREE.Vector3(0, 0, z), viewer)[2];
+      const levels = floors
+        .map((f, index) => ({ index, name: f.name, elevation: worldZ(f.zMin) }))
+        .sort((a, b) => a.elevation - b.elevation)
+        .map((l, i, all) => ({ ...l, top: all[i + 1]?.elevation ?? null }));
+      setRevitLevels(levels);
+      console.log("[LEVELS] Model levels:", levels.map((l) => `${l.name} ${l.elevation.toFixed(2)} m`).join(", ") || "none");
+    })();
+
+    return () => {
+      alive = false;
+    };
+  }, [viewerReady, viewerLocalToWorld, setRevitLevels]);
+
+  // Capture level of the current pano frame and the Revit level it maps to
+  // (single-level captures leave the model alone)
+  const activeLevel = useMemo(() => {
+    if (!captureLevels || captureLevels.levels.length < 2) return null;
+    const level = captureLevels.levels[captureLevels.frameLevels[currentPanoIndex]];
+    if (!level) return null;
+    return { id: level.id, name: level.name, revit: resolveRevitLevel(level, revitLevels, calibration, levelMap) };
+  }, [captureLevels, currentPanoIndex, revitLevels, calibration, levelMap]);
+
+  useEffect(() => {
+    activeLevelRef.current = activeLevel;
+  }, [activeLevel]);
+
+  // New dataset → the next sync starts from the model's current height
+  useEffect(() => {
+    syncedLevelRef.current = null;
+  }, [captureLevels]);
+
+  // Cut the model away above the current level
+  useEffect(() => {
+    if (!viewerReady || !viewerRef.current || !THREE) return;
+    const viewer = viewerRef.current;
+    const top = activeLevel?.revit?.top;
+
+    if (levelSectioning && top != null) {
+      const cutZ = worldToViewerLocal(0, 0, top - SECTION_BELOW_NEXT_LEVEL, viewer).z;
+      viewer.setCutPlanes([new THREE.Vector4(0, 0, 1, -cutZ)]);
+      sectionedRef.current = true;
+      console.log(`[LEVELS] Showing ${activeLevel.revit.name} (capture ${activeLevel.name}) – cut at ${top.toFixed(2)} m`);
+    } else if (sectionedRef.current) {
+      viewer.setCutPlanes([]);
+      sectionedRef.current = false;
+    }
+  }, [viewerReady, activeLevel, levelSectioning, worldToViewerLocal]);
+
   /* ------------------------------------------------------------------ */
   /* 7. MAIN SYNC: pano → viewer (no store update)                      */
   /* ------------------------------------------------------------------ */
 useEffect(() => {
   if (!viewerRef.current || !THREE || !calibration) return;
 
+  // Views are being aligned by hand (orientation / regression samples)
+  if (orientationCapture || regressionCapture) return;
+
   // --------------------------------------------------------------
   // 1. Block if already syncing
   // --------------------------------------------------------------
@@ -440,13 +602,30 @@ useEffect(() => {
     console.log("panoPts", panoPts);
 
     // ----------------------------------------------------------
-    // 1. POSITION – Keep Z height constant
+    // 1. POSITION – Keep Z height constant (within a level)
     // ----------------------------------------------------------
-    const [forgeX, forgeY, forgeZ] = panoToForge(panoPts, calibration);
+    // Calibrated position plus the profile's fitted offsets (if any), kept
+    // inside the model's saved boundary
+    const { x: forgeX, y: forgeY, z: forgeZ, wasClamped } = transformPanoToForgeWithBoundary(panoPts, calibration, {
+      regression,
+      boundary,
+    });
+    if (wasClamped) console.warn("[SYNC] ⚠️ Pano position outside the model boundary → clamped to", [forgeX, forgeY]);
     const currentEyeLocal = nav.getPosition(); // local coords
     const [curX, curY, curZ] = viewerLocalToWorld(currentEyeLocal, viewer);
 
-    const finalWorldZ = !isNaN(curZ) ? curZ : forgeZ; // fallback if viewer not ready
+    let finalWorldZ = !isNaN(curZ) ? curZ : forgeZ; // fallback if viewer not ready
+
+    // Pano changed level → move the eye by the level step (Revit elevations,
+    // else the calibrated capture height), keeping its height above the floor
+    const level = activeLevelRef.current;
+    const prev = syncedLevelRef.current;
+    if (level && prev && level.id !== prev.id) {
+      const step = level.revit && prev.revit ? level.revit.elevation - prev.revit.elevation : forgeZ - prev.forgeZ;
+      finalWorldZ += step;
+      console.log(`[LEVELS] ${prev.name} → ${level.name}: eye ${step >= 0 ? "+" : ""}${step.toFixed(2)} m`);
+    }
+    if (level) syncedLevelRef.current = { ...level, forgeZ };
     console.log("[SYNC] Eye (world) → X,Y,Z:", [forgeX, forgeY, finalWorldZ]);
 
     const posLocal = worldToViewerLocal(forgeX, forgeY, finalWorldZ, viewer);
@@ -455,7 +634,7 @@ useEffect(() => {
     // 2. ROTATION
     // ----------------------------------------------------------
     const [qx, qy, qz, qw] = quat;
-    const [tx, ty, tz, tw] = transformQuaternion(qx, qy, qz, qw);
+    const [tx, ty, tz, tw] = transformQuaternion(qx, qy, qz, qw, orientation || DEFAULT_ORIENTATION);
     const q = new THREE.Quaternion(tx, ty, tz, tw);
 
     const pitchDown90 = new THREE.Quaternion(Math.SQRT1_2, 0, 0, Math.SQRT1_2);
@@ -497,6 +676,11 @@ useEffect(() => {
   panoCam,
   isSyncing,
   calibration,
+  orientation,
+  orientationCapture,
+  regression,
+  regressionCapture,
+  boundary,
   worldToViewerLocal,
   setIsSyncing,
   // viewerRef, THREE, etc. are stable
@@ -516,7 +700,7 @@ useEffect(()=>{
 
       const viewer = viewerRef.current;
 
-      const posLocal = new THREE.Vector3(worldMetersX, worldMetersY, worldMetersZ);
+      const posLocal = worldToViewerLocal(worldMetersX, worldMetersY, worldMetersZ, viewer);
       const target = posLocal.clone().add(new THREE.Vector3(0, -20, 0));
 
       setIsSyncing(true);
@@ -529,7 +713,7 @@ useEffect(()=>{
 
   
     },
-    [calibration, setIsSyncing]
+    [calibration, setIsSyncing, worldToViewerLocal]
   );
 
   useEffect(() => {
@@ -546,6 +730,49 @@ useEffect(()=>{
   return (
     <div className="relative w-full h-full">
       <div ref={containerRef} className="w-full h-full bg-black" />
+      {viewerReady && boundaryEditing && (
+        <BoundaryEditor
+          viewer={viewerRef.current}
+          boundary={boundary}
+          toLocal={worldToViewerLocal}
+          toWorld={viewerLocalToWorld}
+          onSave={saveEditedBoundary}
+          onCancel={() => setBoundaryEditing(false)}
+        />
+      )}
+      {viewerReady && siteSessions.length > 0 && (
+        <SitePaths
+          viewer={viewerRef.current}
+          toLocal={worldToViewerLocal}
+          sessions={siteSessions}
+          activeId={datasetId}
+          currentIndex={currentPanoIndex}
+        />
+      )}
+      {activeLevel && !boundaryEditing && <LevelPanel activeLevelId={activeLevel.id} />}
+      {calibration?.quality && (
+        <div
+          title={calibration.quality.warnings.join("\n") || "Calibration quality"}
+          style={{
+            position: "absolute",
+            // Top-right is under SplitPane's button bar
+            bottom: 8,
+            right: 8,
+            padding: "2px 10px",
+            borderRadius: 12,
+            background: GRADE_COLORS[calibration.quality.grade],
+            color: "white",
+            fontSize: 12,
+            fontWeight: "bold",
+            pointerEvents: "auto",
+            zIndex: 10,
+          }}
+        >
+          Calibration {calibration.quality.grade}
+          {calibration.quality.looMean !== null &&
+            ` · ${formatLength(calibration.quality.looMean, modelUnits?.unit, 2)}`}
+        </div>
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,111 @@
+/** LevelPanel.jsx – capture levels → Revit levels, shown over the Forge viewer */
+import React, { useState } from "react";
+import { useSyncStore } from "../store/syncStore";
+import { resolveRevitLevel, saveLevelMap } from "../utils/captureLevels";
+
+const SOURCE_LABELS = { dataset: "from dataset", heights: "from camera heights" };
+
+export default function LevelPanel({ activeLevelId }) {
+  const captureLevels = useSyncStore((s) => s.captureLevels);
+  const revitLevels = useSyncStore((s) => s.revitLevels);
+  const levelMap = useSyncStore((s) => s.levelMap);
+  const calibration = useSyncStore((s) => s.calibration);
+  const datasetId = useSyncStore((s) => s.datasetId);
+  const levelSectioning = useSyncStore((s) => s.levelSectioning);
+  const setLevelMap = useSyncStore((s) => s.setLevelMap);
+  const setLevelSectioning = useSyncStore((s) => s.setLevelSectioning);
+  const [open, setOpen] = useState(false);
+
+  if (!captureLevels) return null;
+  const active = captureLevels.levels.find((l) => l.id === activeLevelId);
+
+  const assign = (levelId, revitName) => {
+    const next = { ...levelMap };
+    if (revitName) next[levelId] = revitName;
+    else delete next[levelId];
+    setLevelMap(saveLevelMap(datasetId, next));
+  };
+
+  return (
+    <div style={panelStyle}>
+      <div onClick={() => setOpen((o) => !o)} style={{ cursor: "pointer", fontWeight: "bold" }}>
+        🏢 {active?.name ?? "–"}
+        {(() => {
+          const revit = resolveRevitLevel(active, revitLevels, calibration, levelMap);
+          return revit && revit.name !== active?.name ? ` → ${revit.name}` : "";
+        })()}
+        <span style={{ fontWeight: "normal", opacity: 0.7 }}>
+          {" · "}{captureLevels.levels.length} levels {open ? "▴" : "▾"}
+        </span>
+      </div>
+
+      {open && (
+        <div style={{ marginTop: 8 }}>
+          <div style={{ opacity: 0.7, marginBottom: 6 }}>Capture levels {SOURCE_LABELS[captureLevels.source]}</div>
+          <table style={{ borderCollapse: "collapse" }}>
+            <tbody>
+              {[...captureLevels.levels].reverse().map((level) => {
+                const auto = resolveRevitLevel(level, revitLevels, calibration, {});
+                return (
+                  <tr key={level.id} style={{ fontWeight: level.id === activeLevelId ? "bold" : "normal" }}>
+                    <td style={{ padding: "2px 8px 2px 0", whiteSpace: "nowrap" }}>
+                      {level.id === activeLevelId ? "▶ " : ""}{level.name}
+                    </td>
+                    <td style={{ padding: "2px 8px 2px 0", opacity: 0.7, whiteSpace: "nowrap" }}>
+                      {level.height.toFixed(2)} m · {level.count} frames
+                    </td>
+                    <td>
+                      <select
+                        value={levelMap[level.id] ?? ""}
+                        onChange={(e) => assign(level.id, e.target.value)}
+                        disabled={!revitLevels.length}
+                        style={{ fontSize: 12 }}
+                      >
+                        <option value="">Auto{auto ? ` (${auto.name})` : ""}</option>
+                        {revitLevels.map((r) => (
+                          <option key={r.index} value={r.name}>
+                            {r.name}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          {revitLevels.length ? (
+            <label style={{ display: "block", marginTop: 8, cursor: "pointer" }}>
+              <input type="checkbox" checked={levelSectioning} onChange={(e) => setLevelSectioning(e.target.checked)} />{" "}
+              Hide floors above the current level
+            </label>
+          ) : (
+            <div style={{ marginTop: 8, color: "#f59e0b" }}>
+              ⚠️ The model has no level data – Forge follows the capture height only
+            </div>
+          )}
+          {!calibration && revitLevels.length > 0 && (
+            <div style={{ marginTop: 4, opacity: 0.7 }}>Calibrate to match levels automatically</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const panelStyle = {
+  position: "absolute",
+  top: 8,
+  left: 8,
+  maxWidth: 420,
+  maxHeight: "50%",
+  overflowY: "auto",
+  background: "rgba(0,0,0,0.8)",
+  color: "#ddd",
+  padding: "6px 10px",
+  borderRadius: 6,
+  fontFamily: "monospace",
+  fontSize: 12,
+  zIndex: 10,
+};
@@ -18,8 +18,25 @@ import {
   savitzkyGolay,
 } from "../lib/pano_helpers";
 import KalmanFilter3D from "../lib/kalman_filter";
-import { calculateCalibration, forgeToPano } from "../utils/calibratePanoToForge";
-import {  reverseTransform } from "../utils/camera_transformation";
+import { forgeToPano } from "../utils/calibratePanoToForge";
+import { DEFAULT_ORIENTATION, reverseTransform } from "../utils/camera_transformation";
+import { DEFAULT_FRAME, datasetToView, headingToView, rotationToView, viewToDataset } from "../utils/coordinateFrames";
+import { loadDataset } from "../utils/datasetLoader";
+import { assignLevels, loadLevelMap } from "../utils/captureLevels";
+import { datasetUrl, filesFromDrop, registerLocalDataset } from "../utils/localDataset";
+import DatasetReport from "./DatasetReport";
+import PlaybackEngine, { PLAYBACK_SPEEDS } from "../lib/playbackEngine";
+import MultiresPanorama, { loadTileIndex } from "../lib/multiresPanorama";
+
+// Equirect centre sits on the sphere's +X; cameras look down -Z
+const IMAGE_CENTRE_TO_CAMERA = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI / 2);
+
+// Capture orientation of a dataset frame → camera → scene rotation (null when unknown)
+const captureRotation = (raw, frame) => {
+  if (raw?.orientation) return rotationToView(raw.orientation, frame);
+  if (raw?.heading) return headingToView(raw.heading);
+  return null;
+};
 
 /* ════════════════════════════════════════════════════════════════════════════ */
 /*  PathCameraExplorer – Panorama Viewer with Path Navigation                   */
@@ -43,6 +60,8 @@ const PathCameraExplorer = forwardRef((_, ref) => {
   const [processNoise, setProcessNoise] = useState(0.001);
   const [measurementNoise, setMeasurementNoise] = useState(0.01);
   const [camOffset, setCamOffset] = useState({ x: 0, y: 0, z: 0 });
+  const [dropState, setDropState] = useState(null); // null | "over" | "busy" | "reading"
+  const [playback, setPlayback] = useState(null); // PlaybackEngine state
 
   /* ──────────────────────────────────────────────────────────────────────── */
   /*  THREE.js SCENE OBJECTS                                                  */
@@ -52,6 +71,11 @@ const PathCameraExplorer = forwardRef((_, ref) => {
   const rendererRef = useRef(null);
   const pathLineRef = useRef(null);
   const panoramaSphereRef = useRef(null);
+  const multiresRef = useRef(null); // MultiresPanorama streaming tiles onto the sphere
+  const currentImageRef = useRef(null); // "<dataset>|<image_path>" last asked for
+  const sphereRotationRef = useRef(new Map()); // image_path → capture rotation
+  const playbackRef = useRef(null);
+  const playbackStepRef = useRef(null);
   const compassGroupRef = useRef(null);
 
   /* ──────────────────────────────────────────────────────────────────────── */
@@ -70,19 +94,21 @@ const PathCameraExplorer = forwardRef((_, ref) => {
   const currentPOVRef = useRef({ yaw: 0, pitch: 0 });
   const camOffsetRef = useRef(camOffset);
   const calibrationRef = useRef(null);
+  const orientationRef = useRef(DEFAULT_ORIENTATION);
+  // Axis conventions of the loaded dataset (dataset → scene mapping)
+  const frameRef = useRef(DEFAULT_FRAME);
+  const levelsRef = useRef(null); // capture levels of the dataset (see utils/captureLevels)
 
   /* ──────────────────────────────────────────────────────────────────────── */
   /*  CONSTANTS                                                               */
   /* ──────────────────────────────────────────────────────────────────────── */
-  const Z_SCALE = 3.0;
   const LOOK_AHEAD_BEHIND = 20;
   const COMPASS_DISTANCE = 10;
   const COMPASS_RADIUS = 0.7;
   const WALKMAN_SCALE = 0.5;
   const WALKMAN_LIFT = 0;
   const PATH_HEIGHT=0;
-  const YAW_MINUS_90 = new THREE.Quaternion(); // ONE instance for the whole component
-YAW_MINUS_90.setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI ); // -90°
+  const PICK_MAX_DISTANCE = 30;
 
 
   /* ──────────────────────────────────────────────────────────────────────── */
@@ -95,10 +121,26 @@ YAW_MINUS_90.setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI ); // -90°
   
     setPathPoints,
     setCurrentPanoIndex,
-    setCalibration,
+    setCoordinateFrame,
+    setDatasetReport,
+    addFailedImage,
+    setPlaybackActive,
+    setCaptureLevels,
+    setLevelMap,
+    calibration,
+    orientation,
+    datasetId,
+    datasetRevision,
+    setDatasetId,
+    addLocalDataset,
     forgeCam,
     panoCam,
+    calibPick,
+    orientationCapture,
+    regressionCapture,
   } = useSyncStore();
+  // Same rule as DatasetPicker / SitePanel: no dataset switch mid pick or capture
+  const switchBlocked = Boolean(calibPick || orientationCapture || regressionCapture);
 
   useEffect(() => {
     camOffsetRef.current = camOffset;
@@ -122,36 +164,15 @@ YAW_MINUS_90.setFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI ); // -90°
   }, []);
 
   /* -------------------------------------------------
-     1. Load calibration matrix (once)
+     1. Track calibration (solved by SplitPane)
   ------------------------------------------------- */
   useEffect(() => {
-    const raw = localStorage.getItem("revit-pano-calibration-v2");
-    if (!raw) {
-      console.warn("[CALIB] No calibration in localStorage");
-      return;
-    }
-    try {
-      const pts = JSON.parse(raw);
-      const panoPts = pts.map((p) => [
-        parseFloat(p.pano.x),
-        parseFloat(p.pano.y),
-        parseFloat(p.pano.z),
-      ]);
-      const revitPts = pts.map((p) => [
-        parseFloat(p.revit.x),
-        parseFloat(p.revit.y),
-        parseFloat(p.revit.z),
-      ]);
-      const calib = calculateCalibration(panoPts, revitPts);
-      setCalibration(calib);
-      calibrationRef.current=calib
-      console.log("calib",calib)
-      console.log("[CALIB] matrix loaded", calib);
-    } catch (e) {
-      console.error("[CALIB] parse error", e);
-    }
+    calibrationRef.current = calibration;
+  }, [calibration]);
 
-  }, []);
+  useEffect(() => {
+    orientationRef.current = orientation || DEFAULT_ORIENTATION;
+  }, [orientation]);
 
 useEffect(() => {
   if (!cameraRef.current) return;
@@ -262,6 +283,7 @@ useEffect(() => {
     jumpToIndex: (idx) => {
       if (idx < 0 || idx >= cameraPathRef.current.length) return;
       pathIndexRef.current = idx;
+      playbackRef.current?.seek(idx, false);
       updateCameraPosition();
       updatePathLine();
       updateCompassPositions();
@@ -272,6 +294,23 @@ useEffect(() => {
     getCurrentIndex: () => pathIndexRef.current,
     getPathPoints: () =>
       cameraPathRef.current.map((p) => ({ x: p.x, y: p.y, z: p.z })),
+    // Raw dataset position (the frame calibration works in)
+    getFramePosition: (idx) => {
+      const p = dataRef.current[idx];
+      return p ? { x: p.x, y: p.y, z: p.z } : null;
+    },
+    // Raw dataset position of every frame (the positions panoCam reports)
+    getFramePositions: () => dataRef.current.map((p) => [p.x, p.y, p.z]),
+    // Filtered path mapped back into dataset coordinates (undoes rebuildPaths;
+    // the scene path is flat per level, so heights come from the raw frames)
+    getCalibrationPath: () =>
+      cameraPathRef.current.map((p, i) => {
+        const raw = dataRef.current[i];
+        const [x, y, z] = viewToDataset({ x: p.x, y: 0, z: p.z }, frameRef.current);
+        const flat = datasetToView([raw?.x ?? 0, raw?.y ?? 0, raw?.z ?? 0], frameRef.current);
+        const [hx, hy, hz] = viewToDataset({ x: 0, y: flat.y, z: 0 }, frameRef.current);
+        return { x: x + hx, y: y + hy, z: z + hz };
+      }),
   }));
 
   /* ──────────────────────────────────────────────────────────────────────── */
@@ -290,43 +329,86 @@ useEffect(() => {
   /* ──────────────────────────────────────────────────────────────────────── */
   /*  PANORAMA TEXTURE LOADING                                                */
   /* ──────────────────────────────────────────────────────────────────────── */
+  // Turn the sphere so the image's capture heading lines up with the scene –
+  // the view direction then stays put between frames
+  const orientSphere = useCallback((imagePath) => {
+    const sphere = panoramaSphereRef.current;
+    if (!sphere) return;
+    const r = sphereRotationRef.current.get(imagePath);
+    if (r) sphere.quaternion.set(r.x, r.y, r.z, r.w).multiply(IMAGE_CENTRE_TO_CAMERA);
+    else sphere.quaternion.identity();
+  }, []);
+
+  // Base texture, orientation and tiles switch together, so tiles never land on another image
+  const applyPanoramaTexture = useCallback((tex, imagePath, tiles) => {
+    const sphere = panoramaSphereRef.current;
+    if (!sphere) return;
+    if (sphere.material.map !== tex) {
+      if (sphere.material.map) sphere.material.map.dispose();
+      sphere.material.map = tex;
+      sphere.material.needsUpdate = true;
+    }
+    orientSphere(imagePath);
+    multiresRef.current?.show(tiles);
+  }, [orientSphere]);
+
+  // Tiled folders (scripts/tile-panoramas.js) show the tile preview first and
+  // stream the tiles in from the render loop; others load the full image
   const updatePanoramaTexture = useCallback((imagePath) => {
     console.log("text",!panoramaSphereRef.current || !imagePath)
     console.log("pano",{pano:panoramaSphereRef.current ,imagePath})
     if (!panoramaSphereRef.current || !imagePath) return;
-    const img=`/data/set5/${imagePath}`
-    const cached = textureCache.current.get(img);
-    if (cached) {
-      if (panoramaSphereRef.current.material.map)
-        panoramaSphereRef.current.material.map.dispose();
-      panoramaSphereRef.current.material.map = cached;
-      panoramaSphereRef.current.material.needsUpdate = true;
-      return;
-    }
+    const key = `${datasetId}|${imagePath}`;
+    currentImageRef.current = key;
+
+    const slash = imagePath.lastIndexOf("/");
+    const name = imagePath.slice(slash + 1).replace(/\.[^.]+$/, "");
+    const tileUrl = (path) => datasetUrl(datasetId, `${imagePath.slice(0, slash + 1)}tiles/${path}`, { byName: false });
+
+    loadTileIndex(tileUrl("index.json")).then((index) => {
+      if (currentImageRef.current !== key) return;
+      const tiled = index?.images[name];
+      const tiles = tiled && {
+        key,
+        levels: tiled.levels,
+        tileSize: index.tileSize,
+        tileUrl: (level, row, col) => tileUrl(`${name}/${level}/${row}_${col}.webp`),
+      };
 
-    textureLoader.current.load(
-      img,
-      (tex) => {
-        tex.mapping = THREE.EquirectangularReflectionMapping;
-        tex.encoding = THREE.sRGBEncoding;
-        tex.minFilter = THREE.LinearFilter;
-        tex.flipY=true
-        // === FLIP HORIZONTALLY (left-right inversion) ===
-        tex.center.set(0.5, 0.5);     // Set pivot to center
-        tex.repeat.set(-1, 1);        // Scale X by -1 (flip horizontally)
-        tex.needsUpdate = true;       // Important!
-            textureCache.current.set(img, tex);
-        if (panoramaSphereRef.current) {
-          if (panoramaSphereRef.current.material.map)
-            panoramaSphereRef.current.material.map.dispose();
-          panoramaSphereRef.current.material.map = tex;
-          panoramaSphereRef.current.material.needsUpdate = true;
+      const img = tiled ? tileUrl(`${name}/preview.webp`) : datasetUrl(datasetId, imagePath);
+      if (!img) {
+        addFailedImage(imagePath);
+        return;
+      }
+      const cached = textureCache.current.get(img);
+      if (cached) {
+        applyPanoramaTexture(cached, imagePath, tiles);
+        return;
+      }
+
+      textureLoader.current.load(
+        img,
+        (tex) => {
+          tex.mapping = THREE.EquirectangularReflectionMapping;
+          tex.encoding = THREE.sRGBEncoding;
+          tex.minFilter = THREE.LinearFilter;
+          tex.flipY=true
+          // === FLIP HORIZONTALLY (left-right inversion) ===
+          tex.center.set(0.5, 0.5);     // Set pivot to center
+          tex.repeat.set(-1, 1);        // Scale X by -1 (flip horizontally)
+          tex.needsUpdate = true;       // Important!
+          textureCache.current.set(img, tex);
+          // A later frame may have been asked for while this one loaded
+          if (currentImageRef.current === key) applyPanoramaTexture(tex, imagePath, tiles);
+        },
+        undefined,
+        (err) => {
+          console.error("[PANO] Texture load failed:", img, err);
+          addFailedImage(imagePath);
         }
-      },
-      undefined,
-      (err) => console.error("[PANO] Texture load failed:", img, err)
-    );
-  }, []);
+      );
+    });
+  }, [datasetId, addFailedImage, applyPanoramaTexture]);
 
   /* ──────────────────────────────────────────────────────────────────────── */
   /*  CAMERA ORIENTATION                                                      */
@@ -436,7 +518,7 @@ const updateCompassPOV = useCallback(() => {
     walkman.name = name.replace("group", "walkman");
     g.add(walkman);
     compassGroupRef.current.add(g);
-    g.position.set(point.x, 0, point.z);
+    g.position.set(point.x, point.y, point.z);
     return g;
   };
 
@@ -446,13 +528,13 @@ const updateCompassPOV = useCallback(() => {
   if (!aheadGroup) {
     aheadGroup = createGroup("pano-compass-on-line-ahead", ahead, false);
   } else {
-    aheadGroup.position.set(ahead.x, 0, ahead.z);
+    aheadGroup.position.set(ahead.x, ahead.y, ahead.z);
   }
 
   if (!backGroup) {
     backGroup = createGroup("pano-compass-on-line-back", back, true);
   } else {
-    backGroup.position.set(back.x, 0, back.z);
+    backGroup.position.set(back.x, back.y, back.z);
   }
 
   updateCompassPOV();
@@ -485,6 +567,7 @@ useEffect(() => {
       if (newIdx === pathIndexRef.current) return;
 
       pathIndexRef.current = newIdx;
+      playbackRef.current?.seek(newIdx, false);
       const panoPt = cameraPathRef.current[newIdx];
       const newPoint = dataRef.current[newIdx];
       const quat=panoCam.pos.quat || panoCam.quat;
@@ -551,6 +634,7 @@ useEffect(() => {
     const sphere = new THREE.Mesh(sphereGeo, sphereMat);
     scene.add(sphere);
     panoramaSphereRef.current = sphere;
+    multiresRef.current = new MultiresPanorama(sphere);
 
     const line = new THREE.Line(
       new THREE.BufferGeometry(),
@@ -572,6 +656,7 @@ useEffect(() => {
     const animate = () => {
       rafRef.current = requestAnimationFrame(animate);
       updateCompassPOV();
+      multiresRef.current?.update(camera, renderer.domElement.height);
       renderer.render(scene, camera);
     };
     animate();
@@ -583,6 +668,8 @@ useEffect(() => {
   const cleanupScene = useCallback(() => {
     if (rafRef.current) cancelAnimationFrame(rafRef.current);
 
+    multiresRef.current?.dispose();
+    multiresRef.current = null;
     textureCache.current.forEach((t) => t.dispose());
     textureCache.current.clear();
 
@@ -618,20 +705,32 @@ useEffect(() => {
     const raw = dataRef.current;
     if (!raw.length) return;
 
+    // Each level's floor sits at its height above the lowest level; the path
+    // stays flat within a level
+    const { levels = [], frameLevels = [] } = levelsRef.current ?? {};
+    const viewHeight = (anchor) => datasetToView(anchor, frameRef.current).y;
+    const floors = levels.map((l) => viewHeight(l.anchor) - viewHeight(levels[0].anchor));
+
     const sg = savitzkyGolay(raw, Math.max(3, windowSize), polyOrder);
     const kf = new KalmanFilter3D(processNoise, measurementNoise);
     const filtered = sg
         .map((p) => kf.update(p))
-        .map((f, i) => ({
-          x: -f.z,      // ← +Z (pano forward) → +X (Forge forward)
-          y: PATH_HEIGHT,
-          z: -f.x,     // ← +X (pano right) → +Z (Forge right)
-          image_path: raw[i]?.image_path || null,
-        }));
+        .map((f, i) => {
+          // Dataset axes → scene (north → X, east → Z) per the dataset's frame
+          const v = datasetToView([f.x, f.y, f.z], frameRef.current);
+          return {
+            x: v.x,
+            y: PATH_HEIGHT + (floors[frameLevels[i]] ?? 0),
+            z: v.z,
+            image_path: raw[i]?.image_path || null,
+            rotation: captureRotation(raw[i], frameRef.current),
+            timestamp: raw[i]?.timestamp ?? null,
+            level: frameLevels[i] ?? 0,
+          };
+        });
 
     const scaled = filtered.map((p) => ({
       ...p,
-      z: p.z * Z_SCALE,
       yaw: 0,
       pitch: 0,
     }));
@@ -643,14 +742,24 @@ useEffect(() => {
       return {
         ...point,
         image_path: original.image_path || null,
+        rotation: original.rotation || null,
+        timestamp: original.timestamp ?? null,
+        level: original.level,
       };
 });
     console.log("rebuild",fixed);
     cameraPathRef.current = fixed;
     pathIndexRef.current = Math.min(pathIndexRef.current, fixed.length - 1);
 
+    sphereRotationRef.current = new Map(fixed.filter((p) => p.image_path).map((p) => [p.image_path, p.rotation]));
+
     fixed.forEach((p, i) => {
-      if (p.yaw === 0 && p.pitch === 0 && fixed[i + 1]) {
+      if (p.rotation) {
+        // Heading of the image centre, same convention as below
+        const f = new THREE.Vector3(0, 0, -1).applyQuaternion(new THREE.Quaternion(p.rotation.x, p.rotation.y, p.rotation.z, p.rotation.w));
+        p.yaw = Math.atan2(f.z, f.x);
+        p.pitch = Math.asin(THREE.MathUtils.clamp(f.y, -1, 1));
+      } else if (p.yaw === 0 && p.pitch === 0 && fixed[i + 1]) {
         const dx = fixed[i + 1].x - p.x;
         const dz = fixed[i + 1].z - p.z;
         p.yaw = Math.atan2(dz, dx);
@@ -669,6 +778,7 @@ useEffect(() => {
     updateCompassPositions();
     setPathPoints(fixed.map((p) => ({ x: p.x, y: p.y, z: p.z })));
     notifyPanoIndex(pathIndexRef.current);
+    playbackRef.current?.setTimestamps(fixed.map((p) => p.timestamp));
   }, [
     windowSize,
     polyOrder,
@@ -759,12 +869,25 @@ const onUp = () => {
 
       if (intersects.length === 0) return;
 
-      const pt = intersects[0].point;
+      // Drop the view ray onto the floor (camera sits 1.6m above the path)
+      const cam = cameraRef.current;
+      const dir = raycaster.ray.direction;
       const pathPt = cameraPathRef.current[pathIndexRef.current];
+      let dx = 0, dz = 0;
+      if (dir.y < -0.01) {
+        const t = Math.min((cam.position.y - pathPt.y) / -dir.y, PICK_MAX_DISTANCE);
+        dx = cam.position.x + dir.x * t - pathPt.x;
+        dz = cam.position.z + dir.z * t - pathPt.z;
+      }
+
+      // Undo the rebuildPaths scene mapping (dataset frame) so the point
+      // lands in dataset coordinates, the same space panoCam uses
+      const raw = dataRef.current[pathIndexRef.current];
+      const [ox, oy, oz] = viewToDataset({ x: dx, y: 0, z: dz }, frameRef.current);
       const worldPos = {
-        x: pathPt.x + pt.x / 500,
-        y: pathPt.y,
-        z: pathPt.z + pt.z / 500,
+        x: raw.x + ox,
+        y: raw.y + oy,
+        z: raw.z + oz,
       };
 
       window.calib.addPanoPoint(worldPos);
@@ -799,7 +922,10 @@ useEffect(()=>{
     !cameraRef.current ||
     isSyncing ||
     !forgeCam ||
-    !calibrationRef.current
+    !calibrationRef.current ||
+    useSyncStore.getState().orientationCapture || // views are being aligned by hand
+    useSyncStore.getState().regressionCapture ||
+    useSyncStore.getState().playbackActive // Forge is following the playback
   ) return;
 
     const token = Math.random();
@@ -825,10 +951,11 @@ useEffect(()=>{
   if (points.length === 0) return;
 
   // ✅ IMPROVED: Find closest point using 3D distance in pano space
+  // (raw dataset frames – the scene path is remapped and flattened)
   let closestIdx = 0;
   let minDist = Infinity;
   
-  points.forEach((p, i) => {
+  dataRef.current.slice(0, points.length).forEach((p, i) => {
     // Use all 3 dimensions (x, y, z) for better accuracy
     const dx = p.x - panoPos.x;
     const dy = p.y - panoPos.y;
@@ -860,15 +987,12 @@ useEffect(()=>{
 
   // ────── ROTATION ──────
   const [qx, qy, qz, qw] = quat;
-   // 1. Mirror Forge → Pano
- const [tx, ty, tz, tw] = reverseTransform(qx, qy, qz, qw);
+   // 1. Mirror Forge → Pano (solved orientation offset, or the hand-tuned
+ //    default with its extra yaw)
+ const [tx, ty, tz, tw] = reverseTransform(qx, qy, qz, qw, orientationRef.current);
  const mirrored = new THREE.Quaternion(tx, ty, tz, tw);
 
- // 2. Apply the constant –90° yaw *first* (this rotates the whole
- //    reference frame so that +Z in Forge becomes +X in Pano)
- mirrored.multiply(YAW_MINUS_90);
-
- // 3. OPTIONAL: bring the quaternion back to a normalized state
+ // 2. OPTIONAL: bring the quaternion back to a normalized state
  mirrored.normalize();
 
  const panoQuat = mirrored;
@@ -887,7 +1011,7 @@ useEffect(()=>{
 
   const camOff = camOffsetRef.current;
   useSyncStore.getState().smoothSyncPano(
-    [p.x + camOff.x, PATH_HEIGHT + camOff.y, p.z + camOff.z],
+    [p.x + camOff.x, p.y + camOff.y, p.z + camOff.z],
     [panoQuat.x, panoQuat.y, panoQuat.z, panoQuat.w]
   );
 
@@ -909,59 +1033,45 @@ useEffect(()=>{
   /* ──────────────────────────────────────────────────────────────────────── */
   /*  DATA LOADING                                                            */
   /* ──────────────────────────────────────────────────────────────────────── */
+  // Latest scene callbacks for the loader – it only reruns when the dataset
+  // changes; filter changes rebuild the path below and keep the current frame
+  const sceneFnsRef = useRef(null);
+  useEffect(() => {
+    sceneFnsRef.current = { initScene, cleanupScene, rebuildPaths };
+  }, [initScene, cleanupScene, rebuildPaths]);
+
   useEffect(() => {
     let alive = true;
 
     (async () => {
-      let pts = [];
-
-      try {
-        const r = await fetch("/data/set5/dataset_360.json");
-        if (r.ok) {
-          const j = await r.json();
-          pts = j.frames.map((d) => {
-            const pos = d.position || d.pos || d.coordinates || d;
-            const img = d.image_path || d.image || d.img || d.texture || null;
-            return {
-              x: pos.x ?? pos.X ?? pos[0] ?? 0,
-              y: pos.y ?? pos.Y ?? pos[1] ?? 1.6,
-              z: pos.z ?? pos.Z ?? pos[2] ?? 0,
-              image_path: img,
-            };
-          });
-        }
-      } catch (e) {
-        console.warn("[PANO] Failed to load turn_data.json:", e);
-      }
-
-      if (!pts.length) {
-        const steps = 200;
-        const seg = 20;
-        const dirs = [
-          { x: 1, z: 0 },
-          { x: 0, z: 1 },
-          { x: -1, z: 0 },
-          { x: 0, z: -1 },
-        ];
-        let cx = 0, cz = 0, dir = 0;
-        for (let i = 0; i < steps; i++) {
-          const d = dirs[dir % 4];
-          const len = 0.5 + ((i % seg) * 0.02);
-          cx += d.x * len;
-          cz += d.z * len;
-          pts.push({
-            x: cx + (Math.random() - 0.5) * 0.08,
-            y: 1.6 + (Math.random() - 0.5) * 0.05,
-            z: cz + (Math.random() - 0.5) * 0.08,
-            image_path: null,
-          });
-          if ((i + 1) % seg === 0) dir++;
-        }
-      }
+      const { frames: pts, coordinateFrame: frame, report } = await loadDataset(datasetId);
 
       if (alive) {
+        const { initScene, cleanupScene, rebuildPaths } = sceneFnsRef.current;
+        setDatasetReport(report);
         dataRef.current = pts;
+        frameRef.current = frame;
+        setCoordinateFrame(frame);
+        console.log("[PANO] Coordinate frame:", frame.label, frame.axes);
+        levelsRef.current = assignLevels(pts, frame);
+        setCaptureLevels(levelsRef.current);
+        setLevelMap(loadLevelMap(datasetId));
+        if (levelsRef.current.levels.length > 1) {
+          console.log(
+            `[LEVELS] ${levelsRef.current.levels.length} levels (${levelsRef.current.source}):`,
+            levelsRef.current.levels.map((l) => `${l.name} ${l.height.toFixed(2)} m ×${l.count}`).join(", ")
+          );
+        }
+        // Switching datasets: stop playback, drop the previous scene and its cached textures
+        playbackRef.current?.pause();
+        cleanupScene();
+        // Site jumps open the dataset at a given frame (clamped by rebuildPaths)
+        pathIndexRef.current = useSyncStore.getState().datasetStartIndex;
         initScene();
+        if (!pts.length) {
+          cameraPathRef.current = [];
+          setPathPoints([]);
+        }
         rebuildPaths();
       }
     })();
@@ -969,7 +1079,15 @@ useEffect(()=>{
     return () => {
       alive = false;
     };
-  }, [initScene, rebuildPaths]);
+  }, [
+    datasetId,
+    datasetRevision,
+    setCoordinateFrame,
+    setDatasetReport,
+    setPathPoints,
+    setCaptureLevels,
+    setLevelMap,
+  ]);
 
   /* ──────────────────────────────────────────────────────────────────────── */
   /*  REBUILD ON FILTER CHANGE                                                */
@@ -978,6 +1096,87 @@ useEffect(()=>{
     if (dataRef.current.length) rebuildPaths();
   }, [windowSize, polyOrder, processNoise, measurementNoise, rebuildPaths]);
 
+  /* ──────────────────────────────────────────────────────────────────────── */
+  /*  PLAYBACK                                                                */
+  /* ──────────────────────────────────────────────────────────────────────── */
+  // One playback frame: move the pano and push the pose to Forge right away
+  // (the debounced pano → Forge sync only fires once the camera settles)
+  const playbackStep = useCallback((idx) => {
+    pathIndexRef.current = idx;
+    updateCameraPosition();
+    updatePathLine();
+    updateCompassPositions();
+    const p = cameraPathRef.current[idx];
+    if (p?.image_path) updatePanoramaTexture(p.image_path);
+    notifyPanoIndex(idx);
+
+    const raw = dataRef.current[idx];
+    if (!raw) return;
+    const q = new THREE.Quaternion().setFromEuler(
+      new THREE.Euler(currentPOVRef.current.pitch, currentPOVRef.current.yaw, 0, "YXZ")
+    );
+    useSyncStore.setState({ source: "pano" });
+    setPanoCam([raw.x, raw.y, raw.z], [q.x, q.y, q.z, q.w]);
+    useSyncStore.getState().smoothSyncPano([raw.x, raw.y, raw.z], [q.x, q.y, q.z, q.w]);
+  }, [updateCameraPosition, updatePathLine, updateCompassPositions, updatePanoramaTexture, notifyPanoIndex, setPanoCam]);
+
+  useEffect(() => {
+    playbackStepRef.current = playbackStep;
+  }, [playbackStep]);
+
+  useEffect(() => {
+    const engine = new PlaybackEngine({
+      onFrame: (idx) => playbackStepRef.current?.(idx),
+      onStateChange: (state) => {
+        setPlayback(state);
+        if (useSyncStore.getState().playbackActive !== state.playing) setPlaybackActive(state.playing);
+      },
+    });
+    playbackRef.current = engine;
+    engine.setTimestamps(cameraPathRef.current.map((p) => p.timestamp ?? null));
+    return () => {
+      engine.dispose();
+      playbackRef.current = null;
+      setPlaybackActive(false);
+    };
+  }, [setPlaybackActive]);
+
+  /* ──────────────────────────────────────────────────────────────────────── */
+  /*  LOCAL CAPTURE DROP                                                      */
+  /* ──────────────────────────────────────────────────────────────────────── */
+  const onDragOver = useCallback((e) => {
+    if (![...e.dataTransfer.types].includes("Files")) return;
+    e.preventDefault(); // also keeps the browser from opening a rejected file
+    e.dataTransfer.dropEffect = switchBlocked ? "none" : "copy";
+    setDropState((s) => s ?? (switchBlocked ? "busy" : "over"));
+  }, [switchBlocked]);
+
+  const onDragLeave = useCallback((e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setDropState((s) => (s === "over" || s === "busy" ? null : s));
+    }
+  }, []);
+
+  const onDrop = useCallback(async (e) => {
+    e.preventDefault();
+    if (switchBlocked) {
+      setDropState(null);
+      alert("Finish picking / capturing before switching datasets");
+      return;
+    }
+    setDropState("reading");
+    try {
+      const entry = await registerLocalDataset(await filesFromDrop(e.dataTransfer));
+      addLocalDataset(entry);
+      setDatasetId(entry.id);
+    } catch (err) {
+      console.error("[LOCAL] Could not open dropped capture:", err);
+      alert("Could not open the capture: " + err.message);
+    } finally {
+      setDropState(null);
+    }
+  }, [addLocalDataset, setDatasetId, switchBlocked]);
+
   /* ──────────────────────────────────────────────────────────────────────── */
   /*  CLEANUP & RESIZE                                                        */
   /* ──────────────────────────────────────────────────────────────────────── */
@@ -1013,12 +1212,43 @@ useEffect(()=>{
   };
 
   return (
-    <div style={{ position: "relative", width: "100%", height: "100%", background: "#000" }}>
+    <div
+      style={{ position: "relative", width: "100%", height: "100%", background: "#000" }}
+      onDragOver={onDragOver}
+      onDragLeave={onDragLeave}
+      onDrop={onDrop}
+    >
       <div ref={mountRef} style={{ width: "100%", height: "100%", overflow: "hidden" }} />
 
-      <div style={{ position: "absolute", bottom: 20, left: "50%", transform: "translateX(-50%)", display: "flex", gap: 12, zIndex: 10 }}>
+      <div style={{ position: "absolute", bottom: 20, left: "50%", transform: "translateX(-50%)", display: "flex", gap: 12, zIndex: 10, alignItems: "center" }}>
         <button onClick={moveBackward} style={btnStyle("#1d4ed8")}>Back</button>
+        <button
+          onClick={() => playbackRef.current?.toggle()}
+          disabled={!playback || cameraPathRef.current.length < 2}
+          title={playback?.hasTimestamps ? "Play at capture speed" : "No timestamps – fixed frame interval"}
+          style={btnStyle("#059669")}
+        >
+          {playback?.playing ? "⏸ Pause" : "▶ Play"}
+        </button>
         <button onClick={moveForward} style={btnStyle("#dc2626")}>Forward</button>
+        {playback && (
+          <div style={playbackBarStyle}>
+            <select
+              value={playback.speed}
+              onChange={(e) => playbackRef.current?.setSpeed(Number(e.target.value))}
+              style={{ background: "transparent", color: "#fff", border: "1px solid #555", borderRadius: 4 }}
+            >
+              {PLAYBACK_SPEEDS.map((s) => (
+                <option key={s} value={s} style={{ color: "#000" }}>{s}×</option>
+              ))}
+            </select>
+            <label style={{ display: "flex", gap: 4, alignItems: "center", cursor: "pointer" }}>
+              <input type="checkbox" checked={playback.loop} onChange={(e) => playbackRef.current?.setLoop(e.target.checked)} />
+              Loop
+            </label>
+            <span>{formatClock(playback.time)} / {formatClock(playback.duration)}</span>
+          </div>
+        )}
       </div>
 
       <div style={{
@@ -1036,6 +1266,18 @@ useEffect(()=>{
         </div>
       </div>
 
+      <DatasetReport />
+
+      {dropState && (
+        <div style={dropOverlayStyle}>
+          {dropState === "reading"
+            ? "Reading capture…"
+            : dropState === "busy"
+              ? "Finish picking / capturing before switching datasets"
+              : "Drop a capture folder or .zip (dataset_360.json + images_360/)"}
+        </div>
+      )}
+
       {/* Control Source Indicator */}
       <div style={{
         position: "absolute",
@@ -1087,4 +1329,38 @@ const btnStyle = (bg) => ({
   transition: "all 0.2s ease",
   opacity: 0.9,
   backdropFilter: "blur(6px)",
-});
\ No newline at end of file
+});
+
+const dropOverlayStyle = {
+  position: "absolute",
+  inset: 12,
+  border: "3px dashed #60a5fa",
+  borderRadius: 12,
+  background: "rgba(30,58,138,0.55)",
+  color: "white",
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "center",
+  fontSize: 18,
+  fontWeight: "bold",
+  zIndex: 20,
+  pointerEvents: "none",
+};
+
+const playbackBarStyle = {
+  display: "flex",
+  gap: 10,
+  alignItems: "center",
+  padding: "8px 12px",
+  background: "rgba(0,0,0,0.7)",
+  color: "#fff",
+  borderRadius: 6,
+  fontFamily: "monospace",
+  fontSize: 12,
+};
+
+// 83.4 → "1:23"
+const formatClock = (seconds) => {
+  const s = Math.max(0, Math.floor(seconds));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+};
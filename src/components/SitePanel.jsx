@@ -0,0 +1,223 @@
+/** SitePanel.jsx – site workspace: capture sessions shown together, jumps between them */
+import React, { useEffect, useState } from "react";
+import { useSyncStore } from "../store/syncStore";
+import { loadDatasetManifest } from "../utils/datasetManifest";
+import { loadSite, loadSiteSessions, nearestFrames, saveSite, sessionColor, sessionForgePoints } from "../utils/siteWorkspace";
+import { formatLength } from "../utils/units";
+
+const STATUS = {
+  ok: { icon: "✅", label: "calibrated" },
+  uncalibrated: { icon: "⚠️", label: "no calibration" },
+  error: { icon: "❌", label: "not loaded" },
+};
+
+export default function SitePanel({ urn }) {
+  const {
+    datasetId,
+    setDatasetId,
+    localDatasets,
+    site,
+    setSite,
+    siteSessions,
+    setSiteSessions,
+    calibration,
+    regression,
+    boundary,
+    currentPanoIndex,
+    modelUnits,
+    calibPick,
+    orientationCapture,
+    regressionCapture,
+  } = useSyncStore();
+  const [manifest, setManifest] = useState([]);
+  const [loaded, setLoaded] = useState([]);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    let alive = true;
+    loadDatasetManifest().then((list) => alive && setManifest(list));
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  useEffect(() => {
+    setSite(loadSite(urn));
+  }, [urn, setSite]);
+
+  // Reloaded on every dataset switch too – picks up a calibration just saved for the previous one
+  // (and on boundary edits, which move every session)
+  useEffect(() => {
+    let alive = true;
+    loadSiteSessions(site.datasets, urn).then((sessions) => {
+      if (!alive) return;
+      setLoaded(sessions);
+      console.log("[SITE] Sessions:", sessions.map((s) => `${s.datasetId} (${s.status})`).join(", ") || "none");
+    });
+    return () => {
+      alive = false;
+    };
+  }, [site.datasets, urn, datasetId, boundary]);
+
+  // The loaded dataset follows the calibration being edited, placed like the camera sync
+  useEffect(() => {
+    setSiteSessions(
+      loaded.map((s) =>
+        s.datasetId === datasetId && calibration && s.frames.length
+          ? {
+              ...s,
+              status: "ok",
+              calibration,
+              regression,
+              forgePoints: sessionForgePoints(s.frames, calibration, { regression, boundary }),
+            }
+          : s
+      )
+    );
+  }, [loaded, datasetId, calibration, regression, boundary, setSiteSessions]);
+
+  // Picked pairs and recorded samples belong to the loaded dataset
+  const busy = Boolean(calibPick || orientationCapture || regressionCapture);
+  const datasets = [...manifest, ...localDatasets.filter((d) => !manifest.some((m) => m.id === d.id))];
+  const nameOf = (id) => datasets.find((d) => d.id === id)?.name ?? id;
+
+  const current = siteSessions.find((s) => s.datasetId === datasetId);
+  const here = current?.forgePoints[currentPanoIndex];
+  const nearest = here ? nearestFrames(siteSessions, here, datasetId) : [];
+
+  const toggle = (id) => {
+    const next = site.datasets.includes(id) ? site.datasets.filter((d) => d !== id) : [...site.datasets, id];
+    setSite(saveSite(urn, { datasets: next }));
+  };
+
+  const jump = (id, index) => {
+    if (busy) return;
+    setOpen(false);
+    console.log(`[SITE] Jump ${datasetId} #${currentPanoIndex} → ${id} #${index}`);
+    setDatasetId(id, index);
+  };
+
+  return (
+    <div style={{ position: "relative" }}>
+      <button onClick={() => setOpen((o) => !o)} style={triggerStyle} title="Site workspace – several capture sessions">
+        🗺 Site{site.datasets.length ? ` (${site.datasets.length})` : ""} ▾
+      </button>
+
+      {open && (
+        <div style={listStyle}>
+          <div style={headStyle}>Sessions on this site</div>
+          {datasets.map((d) => {
+            const idx = site.datasets.indexOf(d.id);
+            const session = siteSessions.find((s) => s.datasetId === d.id);
+            const status = session && STATUS[session.status];
+            return (
+              <div key={d.id} style={{ ...rowStyle, background: d.id === datasetId ? "#eff6ff" : "white" }}>
+                <input type="checkbox" checked={idx >= 0} onChange={() => toggle(d.id)} />
+                <span style={{ ...swatchStyle, background: idx >= 0 ? sessionColor(idx) : "transparent" }} />
+                <div
+                  onClick={() => d.id !== datasetId && jump(d.id, 0)}
+                  style={{ flex: 1, minWidth: 0, cursor: d.id === datasetId || busy ? "default" : "pointer" }}
+                  title={d.id === datasetId ? "Loaded" : "Open this session"}
+                >
+                  <div style={{ fontWeight: d.id === datasetId ? 700 : 600 }}>{d.name}</div>
+                  {status && (
+                    <div style={{ fontSize: 11, color: "#6b7280" }}>
+                      {status.icon} {status.label} · {session.frames.length} frames
+                    </div>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+
+          <div style={headStyle}>Nearest frames in other sessions</div>
+          <div style={{ padding: "4px 8px 8px", fontSize: 12 }}>
+            {!current ? (
+              <div style={{ color: "#6b7280" }}>Add the loaded dataset to the site to jump between sessions.</div>
+            ) : !here ? (
+              <div style={{ color: "#6b7280" }}>Calibrate the loaded dataset to place it on the site.</div>
+            ) : !nearest.length ? (
+              <div style={{ color: "#6b7280" }}>No other calibrated session on the site.</div>
+            ) : (
+              nearest.map((n) => (
+                <div key={n.datasetId} style={{ display: "flex", alignItems: "center", gap: 8, padding: "3px 0" }}>
+                  <span style={{ ...swatchStyle, background: n.color }} />
+                  <span style={{ flex: 1 }}>
+                    {nameOf(n.datasetId)} #{n.index}
+                    <span style={{ color: "#6b7280" }}> · {formatLength(n.distance, modelUnits?.unit ?? "m", 2)}</span>
+                  </span>
+                  <button onClick={() => jump(n.datasetId, n.index)} disabled={busy} style={goBtnStyle}>
+                    Go
+                  </button>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ------------------------------------------------------------------ */
+/*  Styles                                                            */
+/* ------------------------------------------------------------------ */
+const triggerStyle = {
+  padding: "8px 12px",
+  background: "#374151",
+  color: "white",
+  border: "none",
+  borderRadius: 6,
+  cursor: "pointer",
+  fontWeight: "bold",
+  height: 40,
+  whiteSpace: "nowrap",
+};
+
+const listStyle = {
+  position: "absolute",
+  top: 46,
+  right: 0,
+  width: 300,
+  maxHeight: "70vh",
+  overflowY: "auto",
+  background: "white",
+  borderRadius: 8,
+  boxShadow: "0 8px 24px rgba(0,0,0,0.35)",
+  fontSize: 13,
+};
+
+const headStyle = {
+  padding: "8px 8px 4px",
+  fontSize: 11,
+  fontWeight: "bold",
+  color: "#6b7280",
+  textTransform: "uppercase",
+};
+
+const rowStyle = {
+  display: "flex",
+  gap: 8,
+  alignItems: "center",
+  padding: "6px 8px",
+  borderBottom: "1px solid #f3f4f6",
+};
+
+const swatchStyle = {
+  width: 12,
+  height: 12,
+  borderRadius: 3,
+  flexShrink: 0,
+  border: "1px solid #d1d5db",
+};
+
+const goBtnStyle = {
+  padding: "2px 10px",
+  background: "#3b82f6",
+  color: "white",
+  border: "none",
+  borderRadius: 4,
+  cursor: "pointer",
+  fontSize: 12,
+  fontWeight: "bold",
+};
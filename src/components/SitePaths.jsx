@@ -0,0 +1,74 @@
+/** SitePaths.jsx – site session paths drawn over the Forge viewer */
+import React, { useEffect, useState } from "react";
+
+// Forge points are camera positions – paths are drawn on the floor below them
+const CAMERA_HEIGHT = 1.6; // m
+// Long sessions are thinned to about this many vertices each
+const MAX_VERTICES = 600;
+
+export default function SitePaths({ viewer, toLocal, sessions, activeId, currentIndex }) {
+  const [, setCameraTick] = useState(0);
+
+  // Re-project whenever the camera moves
+  useEffect(() => {
+    const V = window.Autodesk.Viewing;
+    const onCamera = () => setCameraTick((t) => t + 1);
+    viewer.addEventListener(V.CAMERA_CHANGE_EVENT, onCamera);
+    return () => viewer.removeEventListener(V.CAMERA_CHANGE_EVENT, onCamera);
+  }, [viewer]);
+
+  const eye = viewer.navigation.getPosition();
+  const look = viewer.navigation.getEyeVector();
+
+  // Screen point, or null behind the camera (the polyline breaks there)
+  const toScreen = ([x, y, z]) => {
+    const local = toLocal(x, y, z - CAMERA_HEIGHT, viewer);
+    if (local.clone().sub(eye).dot(look) <= 0) return null;
+    const p = viewer.worldToClient(local);
+    return [p.x, p.y];
+  };
+
+  // Visible runs of a path as SVG polyline point lists
+  const runs = (points) => {
+    const step = Math.max(1, Math.ceil(points.length / MAX_VERTICES));
+    const out = [[]];
+    points.forEach((p, i) => {
+      if (i % step && i !== points.length - 1) return;
+      const s = toScreen(p);
+      if (s) out[out.length - 1].push(s.map((v) => v.toFixed(1)).join(","));
+      else if (out[out.length - 1].length) out.push([]);
+    });
+    return out.filter((r) => r.length > 1).map((r) => r.join(" "));
+  };
+
+  const active = sessions.find((s) => s.datasetId === activeId);
+  const marker = active?.forgePoints[currentIndex] && toScreen(active.forgePoints[currentIndex]);
+
+  return (
+    <svg style={{ position: "absolute", inset: 0, width: "100%", height: "100%", pointerEvents: "none", zIndex: 8 }}>
+      {sessions.map((s) =>
+        runs(s.forgePoints).map((points, i) => (
+          <polyline
+            key={`${s.datasetId}-${i}`}
+            points={points}
+            fill="none"
+            stroke={s.color}
+            strokeWidth={s.datasetId === activeId ? 4 : 2.5}
+            strokeOpacity={s.datasetId === activeId ? 0.95 : 0.7}
+            strokeLinejoin="round"
+          />
+        ))
+      )}
+      {marker && (
+        <circle
+          cx={marker[0]}
+          cy={marker[1]}
+          r={6}
+          fill={active.color}
+          stroke="white"
+          strokeWidth={2}
+        />
+      )}
+    </svg>
+  );
+}
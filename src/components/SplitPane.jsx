@@ -1,57 +1,135 @@
 /* SplitPane.jsx – FULL FILE */
-import React, { useRef, useEffect, useState } from "react";
+import React, { useRef, useEffect, useState, useMemo, useCallback } from "react";
 import PathCameraExplorer from "./PathCameraExplorer";
-import { calculateCalibration } from "../utils/calibratePanoToForge";
+import DatasetPicker from "./DatasetPicker";
+import SitePanel from "./SitePanel";
+import {
+  calculateCalibration,
+  panoToForge,
+  pointsOutsideBoundary,
+  withDriftCorrection,
+} from "../utils/calibratePanoToForge";
+import { CALIBRATION_MODELS, DEFAULT_MODEL } from "../utils/calibrationEngine";
+import { GRADE_COLORS } from "../utils/calibrationQuality";
+import { MIN_ORIENTATION_SAMPLES, solveOrientationOffset } from "../utils/camera_transformation";
+import { applyProposal, proposeAlignment, spreadFrames } from "../utils/autoAlign";
+import { getWalkableRegions } from "../lib/forge_helpers";
+import { DEFAULT_FRAME } from "../utils/coordinateFrames";
+import { DEFAULT_BOUNDARY } from "../utils/modelBoundary";
+import { DEFAULT_REGRESSION_MODEL, REGRESSION_MODELS, fitRegression, regressionMatches } from "../utils/positionRegression";
+import { PANO_UNITS, UNITS, convertPoint, formatLength, fromMeters } from "../utils/units";
+import {
+  canRedo,
+  canUndo,
+  diffEntries,
+  makeHistoryEntry,
+  pushHistory,
+} from "../utils/calibrationHistory";
 import ForgeViewer from './ForgeViewer'
 import { useSyncStore } from "../store/syncStore";
-const STORAGE_KEY = "revit-pano-calibration-v2";
+import {
+  buildCalibrationFile,
+  downloadCalibrationFile,
+  parseCalibrationFile,
+} from "../utils/calibrationFile";
+import {
+  createProfile,
+  deleteProfile,
+  duplicateProfile,
+  getSelectedProfile,
+  listProfiles,
+  migrateLegacyCalibration,
+  renameProfile,
+  selectProfile,
+  updateProfile,
+} from "../utils/calibrationProfiles";
+// heightOffset: "" = solve from the pairs (floor-plane model only)
+// revitUnit: unit of the typed Revit coordinates (and height offset); profiles saved before it existed are meters
+const DEFAULT_OPTIONS = { model: DEFAULT_MODEL, robust: false, threshold: 0.5, heightOffset: "", revitUnit: "m" };
+
+const minPairsFor = (model) =>
+  (CALIBRATION_MODELS[model] || CALIBRATION_MODELS[DEFAULT_MODEL]).minPairs;
+
+// Suggested pairs proposed by Auto-align
+const AUTO_ALIGN_PAIRS = 4;
+
+// Residual colouring (meters)
+const RESIDUAL_WARN = 0.25;
+const RESIDUAL_BAD = 0.5;
+
+const isPairComplete = (pair) =>
+  ["revit", "pano"].every(space =>
+    ["x", "y", "z"].every(coord =>
+      pair[space][coord] !== "" && !isNaN(parseFloat(pair[space][coord]))
+    )
+  );
+
+const toInputPoint = (pos) => ({
+  x: pos.x.toFixed(4),
+  y: pos.y.toFixed(4),
+  z: pos.z.toFixed(4),
+});
+
+// Picked pairs go into the first incomplete row, or a new one
+const fillNextRow = (pairs, pano, revit) => {
+  const filled = { pano: toInputPoint(pano), revit: toInputPoint(revit) };
+  const idx = pairs.findIndex(p => !isPairComplete(p));
+  if (idx === -1) return [...pairs, filled];
+  return pairs.map((p, i) => (i === idx ? filled : p));
+};
+
+// Always start with 3 empty pairs
+const emptyPairs = () => [
+  { revit: { x: "", y: "", z: "" }, pano: { x: "", y: "", z: "" } },
+  { revit: { x: "", y: "", z: "" }, pano: { x: "", y: "", z: "" } },
+  { revit: { x: "", y: "", z: "" }, pano: { x: "", y: "", z: "" } },
+];
 
 export default function SplitPane() {
   const panoRef = useRef(null);
+  const importInputRef = useRef(null);
   const urn =import.meta.env.VITE_APS_URN
 
-  const { setCalibration } = useSyncStore();
+  const {
+    calibration: activeCalibration,
+    setCalibration,
+    calibPick,
+    setCalibPick,
+    orientation,
+    setOrientation,
+    orientationCapture,
+    setOrientationCapture,
+    datasetId,
+    modelUnits,
+    coordinateFrame,
+    boundary,
+    setBoundaryEditing,
+    regression,
+    setRegression,
+    regressionCapture,
+    setRegressionCapture,
+  } = useSyncStore();
+  const frame = coordinateFrame ?? DEFAULT_FRAME;
 
   const [showCalib, setShowCalib] = useState(false);
+  const [options, setOptions] = useState(DEFAULT_OPTIONS);
+  const [pointPairs, setPointPairs] = useState(emptyPairs);
+  // Drift-correction anchors: { frameIndex, pano: {x,y,z}, forge: {x,y,z} }
+  const [anchors, setAnchors] = useState([]);
+  const [autoAligning, setAutoAligning] = useState(false);
+  // Applied calibrations of the active profile (undo / redo / compare)
+  const [history, setHistory] = useState([]);
+  const [historyIndex, setHistoryIndex] = useState(-1);
+  const [compare, setCompare] = useState({ a: "", b: "" });
 
-  // Always start with 3 empty pairs
-  const [pointPairs, setPointPairs] = useState([
-    { revit: { x: "", y: "", z: "" }, pano: { x: "", y: "", z: "" } },
-    { revit: { x: "", y: "", z: "" }, pano: { x: "", y: "", z: "" } },
-    { revit: { x: "", y: "", z: "" }, pano: { x: "", y: "", z: "" } },
-  ]);
-
-  /* ------------------------------------------------------------------ */
-  /*  LOAD SAVED CALIBRATION                                            */
-  /* ------------------------------------------------------------------ */
-  useEffect(() => {
-    try {
-      const saved = localStorage.getItem(STORAGE_KEY);
-      if (!saved) return;
-
-      const parsed = JSON.parse(saved);
-      if (!Array.isArray(parsed) || parsed.length < 3) throw new Error("Need >=3 pairs");
-
-      const isValid = parsed.every(pair =>
-        ["revit", "pano"].every(space =>
-          ["x", "y", "z"].every(coord => !isNaN(parseFloat(pair[space][coord])))
-        )
-      );
-      if (!isValid) throw new Error("Invalid numbers");
-
-      setPointPairs(parsed);
-      applyCalibration(parsed);
-      console.log("[CALIB] Loaded from localStorage");
-    } catch (e) {
-      console.warn("[CALIB] Load failed → clearing", e);
-      localStorage.removeItem(STORAGE_KEY);
-    }
-  }, []);
+  // Profiles for the loaded dataset + model
+  const [profiles, setProfiles] = useState([]);
+  const [activeProfileId, setActiveProfileId] = useState(null);
 
   /* ------------------------------------------------------------------ */
   /*  APPLY CALIBRATION (uses calculateCalibration)                     */
   /* ------------------------------------------------------------------ */
-  const applyCalibration = (pairs) => {
+  const applyCalibration = useCallback((pairs, opts, driftAnchors) => {
     try {
       const revitPoints = pairs.map(p => [
         parseFloat(p.revit.x),
@@ -64,37 +142,241 @@ export default function SplitPane() {
         parseFloat(p.pano.z),
       ]);
 
-      const calibration = calculateCalibration(panoPoints, revitPoints);
-      setCalibration(calibration);
-      console.log("[CALIB] Applied:", calibration);
+      const calibration = calculateCalibration(panoPoints, revitPoints, {
+        model: opts.model,
+        robust: opts.robust,
+        heightOffset: opts.heightOffset,
+        revitUnit: opts.revitUnit,
+        frame: useSyncStore.getState().coordinateFrame,
+        threshold: parseFloat(opts.threshold) || DEFAULT_OPTIONS.threshold,
+      });
+      const frames = panoRef.current?.getFramePositions() ?? [];
+      const corrected = driftAnchors.length ? withDriftCorrection(calibration, driftAnchors, frames) : calibration;
+      setCalibration(corrected);
+      console.log("[CALIB] Applied:", corrected);
+      return corrected;
     } catch (err) {
       console.error("[CALIB] Compute error:", err);
       alert("Calibration failed: " + err.message);
+      return null;
+    }
+  }, [setCalibration]);
+
+  /* ------------------------------------------------------------------ */
+  /*  LOAD PROFILE (auto-selected per dataset + model)                  */
+  /* ------------------------------------------------------------------ */
+  const loadProfile = useCallback((profile) => {
+    setActiveProfileId(profile?.id ?? null);
+    setProfiles(listProfiles({ datasetId, urn }));
+
+    // A new profile types coordinates in the model's own unit
+    const unitDefault = profile ? {} : { revitUnit: useSyncStore.getState().modelUnits?.unit ?? "m" };
+    const opts = { ...DEFAULT_OPTIONS, ...unitDefault, ...profile?.options };
+    const pairs = profile?.pairs?.length ? profile.pairs : emptyPairs();
+    const profileAnchors = profile?.anchors ?? [];
+    setOptions(opts);
+    setPointPairs(pairs);
+    setAnchors(profileAnchors);
+    setHistory(profile?.history ?? []);
+    setHistoryIndex(profile?.historyIndex ?? (profile?.history?.length ?? 0) - 1);
+    setCompare({ a: "", b: "" });
+    setOrientation(profile?.orientation ?? null);
+    setRegression(profile?.regression ?? null);
+
+    const valid = pairs.filter(isPairComplete);
+    if (valid.length >= minPairsFor(opts.model)) {
+      applyCalibration(valid, opts, profileAnchors);
+      console.log("[CALIB] Loaded profile", profile.name);
+    } else {
+      setCalibration(null);
+    }
+  }, [datasetId, urn, applyCalibration, setCalibration, setOrientation, setRegression]);
+
+  useEffect(() => {
+    migrateLegacyCalibration(datasetId, urn);
+    loadProfile(getSelectedProfile(datasetId, urn));
+    // Re-solved once the dataset's coordinate frame is known
+  }, [datasetId, urn, coordinateFrame, loadProfile]);
+
+  // Model units arrive after the profile is loaded – adopt them while nothing has been entered yet
+  const adoptedUnitsRef = useRef(null);
+  useEffect(() => {
+    if (!modelUnits || adoptedUnitsRef.current === modelUnits) return;
+    adoptedUnitsRef.current = modelUnits;
+    if (activeProfileId || pointPairs.some(isPairComplete)) return;
+    setOptions(prev => ({ ...prev, revitUnit: modelUnits.unit }));
+  }, [modelUnits, activeProfileId, pointPairs]);
+
+  // Displayed lengths follow the unit the Revit coordinates are typed in
+  const fmtLength = (meters, digits = 3) => formatLength(meters, options.revitUnit, digits);
+
+  /* ------------------------------------------------------------------ */
+  /*  PICKING – window.calib is called by the pano and Forge viewers    */
+  /* ------------------------------------------------------------------ */
+  useEffect(() => {
+    window.calib = {
+      // Right-click in the pano (works even outside picking mode)
+      addPanoPoint: (pos) => {
+        console.log("[CALIB] Picked pano point:", pos);
+        setCalibPick({ stage: "forge", pano: pos });
+      },
+      // Click in Forge (meters) completes the pair (or drift anchor) started in the pano
+      addRevitPoint: (pos) => {
+        const pick = useSyncStore.getState().calibPick;
+        if (pick?.stage !== "forge" || !pick.pano) return;
+        if (pick.anchorFrame != null) {
+          setAnchors(prev => [
+            ...prev.filter(a => a.frameIndex !== pick.anchorFrame),
+            { frameIndex: pick.anchorFrame, pano: pick.pano, forge: { x: pos.x, y: pos.y, z: pos.z } },
+          ].sort((a, b) => a.frameIndex - b.frameIndex));
+          setCalibPick(null);
+          setShowCalib(true);
+          return;
+        }
+        setPointPairs(prev => fillNextRow(prev, pick.pano, convertPoint(pos, "m", options.revitUnit)));
+        setCalibPick({ stage: "pano", pano: null });
+      },
+    };
+    return () => {
+      delete window.calib;
+    };
+  }, [setCalibPick, options.revitUnit]);
+
+  const startPicking = () => {
+    setShowCalib(false);
+    setCalibPick({ stage: "pano", pano: null });
+  };
+
+  // Anchor the pano frame currently shown to a position clicked in Forge
+  const startAnchorPick = () => {
+    const idx = panoRef.current?.getCurrentIndex();
+    const pano = panoRef.current?.getFramePosition(idx);
+    if (!pano) {
+      alert("The panorama path is not loaded yet.");
+      return;
+    }
+    setShowCalib(false);
+    setCalibPick({ stage: "forge", pano, anchorFrame: idx });
+  };
+
+  // Draw / edit the model boundary in the Forge viewer
+  const editBoundary = () => {
+    setShowCalib(false);
+    setBoundaryEditing(true);
+  };
+
+  const removeAnchor = (frameIndex) => {
+    setAnchors(anchors.filter(a => a.frameIndex !== frameIndex));
+  };
+
+  const stopPicking = (reopen) => {
+    setCalibPick(null);
+    if (reopen) setShowCalib(true);
+  };
+
+  /* ------------------------------------------------------------------ */
+  /*  SAVE TO ACTIVE PROFILE (created on first save)                    */
+  /* ------------------------------------------------------------------ */
+  const saveCalibration = (pairs = pointPairs, opts = options) => {
+    let profileId = activeProfileId;
+    if (profileId) {
+      updateProfile(profileId, { pairs, options: opts, anchors });
+    } else {
+      profileId = createProfile({ name: "Default", datasetId, urn, pairs, options: opts, orientation, anchors }).id;
+      setActiveProfileId(profileId);
+    }
+    setProfiles(listProfiles({ datasetId, urn }));
+    console.log("[CALIB] Saved to profile");
+    return profileId;
+  };
+
+  /* ------------------------------------------------------------------ */
+  /*  HISTORY – undo / redo / restore / compare                         */
+  /* ------------------------------------------------------------------ */
+  // Without a profile the entry stays in memory until the next Apply creates one
+  const recordHistory = (profileId, entry) => {
+    const next = pushHistory(history, historyIndex, entry);
+    setHistory(next.history);
+    setHistoryIndex(next.historyIndex);
+    if (profileId) updateProfile(profileId, next);
+  };
+
+  const restoreHistory = (index) => {
+    const entry = history[index];
+    if (!entry) return;
+
+    const opts = { ...DEFAULT_OPTIONS, ...entry.options };
+    const pairs = entry.pairs.length ? entry.pairs : emptyPairs();
+    setOptions(opts);
+    setPointPairs(pairs);
+    setAnchors(entry.anchors ?? []);
+    setHistoryIndex(index);
+
+    if (entry.transform) {
+      applyCalibration(entry.pairs, opts, entry.anchors ?? []);
+    } else {
+      setCalibration(null);
     }
+    if (activeProfileId) {
+      updateProfile(activeProfileId, {
+        pairs: entry.pairs,
+        options: opts,
+        anchors: entry.anchors ?? [],
+        historyIndex: index,
+      });
+    }
+    console.log("[CALIB] Restored history entry", entry.createdAt);
   };
 
+  const historyDiff = useMemo(
+    () => diffEntries(history.find(e => e.id === compare.a), history.find(e => e.id === compare.b)),
+    [history, compare]
+  );
+
   /* ------------------------------------------------------------------ */
-  /*  SAVE TO localStorage                                              */
+  /*  PROFILE MANAGER                                                   */
   /* ------------------------------------------------------------------ */
-  const saveCalibration = () => {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(pointPairs));
-    console.log("[CALIB] Saved to localStorage");
+  const switchProfile = (id) => {
+    selectProfile(datasetId, urn, id);
+    loadProfile(getSelectedProfile(datasetId, urn));
+  };
+
+  const newProfile = () => {
+    const name = prompt("Name for the new calibration profile:", `Profile ${profiles.length + 1}`);
+    if (!name) return;
+    loadProfile(createProfile({ name, datasetId, urn, options }));
+  };
+
+  const duplicateActiveProfile = () => {
+    if (!activeProfileId) return;
+    loadProfile(duplicateProfile(activeProfileId));
+  };
+
+  const renameActiveProfile = () => {
+    const current = profiles.find(p => p.id === activeProfileId);
+    if (!current) return;
+    const name = prompt("Rename calibration profile:", current.name);
+    if (!name) return;
+    renameProfile(current.id, name);
+    setProfiles(listProfiles({ datasetId, urn }));
+  };
+
+  const deleteActiveProfile = () => {
+    const current = profiles.find(p => p.id === activeProfileId);
+    if (!current || !confirm(`Delete calibration profile "${current.name}"?`)) return;
+    deleteProfile(current.id);
+    loadProfile(getSelectedProfile(datasetId, urn));
   };
 
   /* ------------------------------------------------------------------ */
   /*  HANDLE APPLY BUTTON                                               */
   /* ------------------------------------------------------------------ */
   const handleApply = () => {
-    const valid = pointPairs.filter(pair =>
-      ["revit", "pano"].every(space =>
-        ["x", "y", "z"].every(coord =>
-          pair[space][coord] !== "" && !isNaN(parseFloat(pair[space][coord]))
-        )
-      )
-    );
+    const valid = pointPairs.filter(isPairComplete);
 
-    if (valid.length < 3) {
-      alert("Please fill **all three** initial point pairs (X/Y/Z) before applying.");
+    const minPairs = minPairsFor(options.model);
+    if (valid.length < minPairs) {
+      alert(`The ${CALIBRATION_MODELS[options.model]?.label ?? "selected"} model needs at least ${minPairs} complete point pairs (X/Y/Z).`);
       return;
     }
 
@@ -104,24 +386,266 @@ export default function SplitPane() {
       pano: { x: p.pano.x, y: p.pano.y, z: p.pano.z },
     })));
 
-    applyCalibration(valid);
-    saveCalibration();
+    const calibration = applyCalibration(valid, options, anchors);
+    if (!calibration) return;
+    const profileId = saveCalibration(valid);
+    recordHistory(profileId, makeHistoryEntry({ pairs: valid, options, anchors, calibration }));
+    setShowCalib(false);
+
+    const rejected = calibration.outliers.map(i => `#${i + 1}`).join(", ");
+    alert(
+      `Calibration applied with ${calibration.inliers.length} point pair${calibration.inliers.length > 1 ? "s" : ""}!` +
+      (rejected ? `\nRejected as outliers: ${rejected}` : "")
+    );
+  };
+
+  /* ------------------------------------------------------------------ */
+  /*  EXPORT / IMPORT CALIBRATION FILE                                  */
+  /* ------------------------------------------------------------------ */
+  const exportCalibration = () => {
+    if (!preview) {
+      alert(`Fill at least ${minPairsFor(options.model)} complete point pairs before exporting.`);
+      return;
+    }
+    const file = buildCalibrationFile({
+      pairs: pointPairs.filter(isPairComplete),
+      options,
+      calibration: preview.calib,
+      orientation,
+      anchors,
+      datasetId,
+      urn,
+      units: options.revitUnit,
+    });
+    const stamp = file.createdAt.slice(0, 10);
+    downloadCalibrationFile(file, datasetId ? `calibration_${datasetId}_${stamp}.json` : `calibration_${stamp}.json`);
+  };
+
+  const importCalibration = async (e) => {
+    const input = e.target;
+    const picked = input.files?.[0];
+    input.value = ""; // allow re-importing the same file
+    if (!picked) return;
+
+    try {
+      const file = parseCalibrationFile(await picked.text());
+
+      const mismatches = [];
+      if (file.datasetId && file.datasetId !== datasetId) {
+        mismatches.push(`dataset "${file.datasetId}" (loaded: "${datasetId}")`);
+      }
+      if (file.urn && file.urn !== urn) mismatches.push("a different model URN");
+      if (
+        mismatches.length &&
+        !confirm(`This calibration was made for ${mismatches.join(" and ")}. Import anyway?`)
+      ) {
+        return;
+      }
+
+      // Imports land in their own profile so nothing is overwritten
+      const opts = { ...DEFAULT_OPTIONS, ...file.options, revitUnit: file.units };
+      const name = `Imported ${(file.createdAt ?? new Date().toISOString()).slice(0, 10)}`;
+      loadProfile(createProfile({
+        name,
+        datasetId,
+        urn,
+        pairs: file.pairs,
+        options: opts,
+        orientation: file.orientation,
+        anchors: file.anchors,
+      }));
+      alert(`Imported ${file.pairs.length} point pairs (created ${file.createdAt ?? "unknown date"}).`);
+    } catch (err) {
+      console.error("[CALIB] Import failed:", err);
+      alert("Import failed: " + err.message);
+    }
+  };
+
+  /* ------------------------------------------------------------------ */
+  /*  AUTO ALIGN – fit the walked path into the model's floor plan      */
+  /* ------------------------------------------------------------------ */
+  const autoAlign = async () => {
+    const path = panoRef.current?.getCalibrationPath() ?? [];
+    if (path.length < 3) {
+      alert("The panorama path is not loaded yet.");
+      return;
+    }
+    if (
+      pointPairs.some(isPairComplete) &&
+      !confirm("Replace the current point pairs with auto-aligned suggestions?")
+    ) {
+      return;
+    }
+
+    setAutoAligning(true);
+    try {
+      const regions = await getWalkableRegions(window.viewer);
+      const panoPath = path.map(p => [p.x, p.y, p.z]);
+      const proposal = proposeAlignment(panoPath, regions, frame);
+      console.log("[CALIB] Auto-align proposal:", proposal);
+
+      // Suggested pairs at well-spread frames – confirm or re-pick each one
+      const suggested = spreadFrames(panoPath, AUTO_ALIGN_PAIRS, frame).map(idx => {
+        const pano = panoRef.current.getFramePosition(idx);
+        const [x, y, z] = convertPoint(applyProposal(proposal, [pano.x, pano.y, pano.z]), "m", options.revitUnit);
+        return { pano: toInputPoint(pano), revit: toInputPoint({ x, y, z }) };
+      });
+      setPointPairs(suggested);
+      alert(
+        `Auto-align placed ${Math.round(proposal.inside * 100)}% of the walk inside the model ` +
+        `(scale ${proposal.scale.toFixed(3)}, yaw ${(proposal.yaw * 180 / Math.PI).toFixed(1)}°).\n` +
+        "Check each suggested pair (re-pick any that are off), then Apply."
+      );
+    } catch (err) {
+      console.error("[CALIB] Auto-align failed:", err);
+      alert("Auto-align failed: " + err.message);
+    } finally {
+      setAutoAligning(false);
+    }
+  };
+
+  /* ------------------------------------------------------------------ */
+  /*  ORIENTATION – align both views on landmarks, solve the rotation   */
+  /* ------------------------------------------------------------------ */
+  const startOrientationCapture = () => {
+    setShowCalib(false);
+    setOrientationCapture({ samples: [] });
+  };
+
+  const captureOrientationSample = () => {
+    const { panoCam, forgeCam } = useSyncStore.getState();
+    if (!panoCam?.quat || !forgeCam?.quat) {
+      alert("Both viewers need a camera before capturing.");
+      return;
+    }
+    setOrientationCapture({
+      samples: [...orientationCapture.samples, { pano: [...panoCam.quat], forge: [...forgeCam.quat] }],
+    });
+  };
+
+  // Without a profile yet, one is created holding only these fields – pairs
+  // that were never applied stay out of it (they may not solve)
+  const saveProfileFields = (fields) => {
+    if (activeProfileId) {
+      updateProfile(activeProfileId, fields);
+    } else {
+      const created = createProfile({ name: "Default", datasetId, urn, options, ...fields });
+      setActiveProfileId(created.id);
+    }
+    setProfiles(listProfiles({ datasetId, urn }));
+  };
+
+  const saveOrientation = (next) => {
+    setOrientation(next);
+    saveProfileFields({ orientation: next });
+  };
+
+  const finishOrientationCapture = (solve) => {
+    if (solve) {
+      try {
+        const solved = solveOrientationOffset(orientationCapture.samples);
+        saveOrientation(solved);
+        console.log("[CALIB] Orientation solved:", solved);
+        alert(`Orientation solved from ${solved.samples.length} views (mean error ${solved.meanError.toFixed(2)}°).`);
+      } catch (err) {
+        console.error("[CALIB] Orientation solve failed:", err);
+        alert("Orientation solve failed: " + err.message);
+        return;
+      }
+    }
+    setOrientationCapture(null);
+    setShowCalib(true);
+  };
+
+  const resetOrientation = () => {
+    if (!confirm("Go back to the default (hand-tuned) camera orientation?")) return;
+    saveOrientation(null);
+  };
+
+  /* ------------------------------------------------------------------ */
+  /*  POSITION REGRESSION – record (pano pose, true Forge position)     */
+  /* ------------------------------------------------------------------ */
+  const startRegressionCapture = () => {
+    if (!activeCalibration) {
+      alert("Apply a calibration first – the correction is fitted on top of it.");
+      return;
+    }
     setShowCalib(false);
-    alert(`Calibration applied with ${valid.length} point pair${valid.length > 1 ? "s" : ""}!`);
+    // Earlier samples keep their true Forge position, re-anchored on the current calibration
+    const samples = (regression?.samples ?? []).map(s => ({
+      ...s,
+      anchor: panoToForge(s.pano, activeCalibration).slice(0, 2),
+    }));
+    setRegressionCapture({
+      samples,
+      model: REGRESSION_MODELS[regression?.model] ? regression.model : DEFAULT_REGRESSION_MODEL,
+    });
+  };
+
+  // Forge camera has been moved by hand to where the current panorama was taken
+  const recordRegressionSample = () => {
+    const { panoCam, forgeCam, calibration } = useSyncStore.getState();
+    if (!calibration) {
+      alert("Apply a calibration before recording – offsets are fitted on top of it.");
+      return;
+    }
+    if (!panoCam?.pos || !forgeCam?.pos) {
+      alert("Both viewers need a camera before recording.");
+      return;
+    }
+    // Same anchor the camera sync adds the fitted offset to
+    const anchor = panoToForge(panoCam.pos, calibration).slice(0, 2);
+    setRegressionCapture({
+      ...regressionCapture,
+      samples: [...regressionCapture.samples, { pano: [...panoCam.pos], anchor, forge: [...forgeCam.pos] }],
+    });
+  };
+
+  const saveRegression = (next) => {
+    setRegression(next);
+    saveProfileFields({ regression: next });
+  };
+
+  const finishRegressionCapture = (fit) => {
+    if (fit) {
+      try {
+        const fitted = fitRegression(
+          regressionCapture.samples,
+          regressionCapture.model,
+          useSyncStore.getState().calibration
+        );
+        saveRegression(fitted);
+        console.log("[CALIB] Position regression fitted:", fitted);
+        const { n, rmse, maxError, r2 } = fitted.stats;
+        alert(
+          `${REGRESSION_MODELS[fitted.model].label} correction fitted from ${n} samples.\n` +
+          `RMSE ${fmtLength(rmse)} · max ${fmtLength(maxError)} · R² x ${r2.x.toFixed(3)} / y ${r2.y.toFixed(3)}`
+        );
+      } catch (err) {
+        console.error("[CALIB] Regression fit failed:", err);
+        alert("Regression fit failed: " + err.message);
+        return;
+      }
+    }
+    setRegressionCapture(null);
+    setShowCalib(true);
+  };
+
+  const removeRegression = () => {
+    if (!confirm("Remove the fitted correction and use the calibration alone?")) return;
+    saveRegression(null);
   };
 
   /* ------------------------------------------------------------------ */
   /*  RESET                                                             */
   /* ------------------------------------------------------------------ */
   const resetCalibration = () => {
-    if (!confirm("Delete saved calibration and reset all points?")) return;
-    localStorage.removeItem(STORAGE_KEY);
+    if (!confirm("Reset the calibration and all points? (Undo in the calibration history brings it back.)")) return;
+    if (activeProfileId) updateProfile(activeProfileId, { pairs: [], anchors: [] });
+    recordHistory(activeProfileId, makeHistoryEntry({ pairs: [], options, calibration: null, action: "reset" }));
     setCalibration(null);
-    setPointPairs([
-      { revit: { x: "", y: "", z: "" }, pano: { x: "", y: "", z: "" } },
-      { revit: { x: "", y: "", z: "" }, pano: { x: "", y: "", z: "" } },
-      { revit: { x: "", y: "", z: "" }, pano: { x: "", y: "", z: "" } },
-    ]);
+    setPointPairs(emptyPairs());
+    setAnchors([]);
     alert("Calibration reset");
   };
 
@@ -136,8 +660,9 @@ export default function SplitPane() {
   };
 
   const removePointPair = (idx) => {
-    if (pointPairs.length <= 3) {
-      alert("You must keep at least 3 point pairs.");
+    const minPairs = minPairsFor(options.model);
+    if (pointPairs.length <= minPairs) {
+      alert(`The ${CALIBRATION_MODELS[options.model]?.label ?? "selected"} model needs at least ${minPairs} point pairs.`);
       return;
     }
     setPointPairs(pointPairs.filter((_, i) => i !== idx));
@@ -152,86 +677,521 @@ export default function SplitPane() {
     setPointPairs(copy);
   };
 
+  /* ------------------------------------------------------------------ */
+  /*  LIVE RESIDUAL PREVIEW (solved silently on every edit)             */
+  /* ------------------------------------------------------------------ */
+  const preview = useMemo(() => {
+    const rows = pointPairs
+      .map((pair, idx) => ({ pair, idx }))
+      .filter(({ pair }) => isPairComplete(pair));
+    if (rows.length < minPairsFor(options.model)) return null;
+
+    try {
+      const calib = calculateCalibration(
+        rows.map(({ pair }) => ["x", "y", "z"].map(c => parseFloat(pair.pano[c]))),
+        rows.map(({ pair }) => ["x", "y", "z"].map(c => parseFloat(pair.revit[c]))),
+        {
+          model: options.model,
+          robust: options.robust,
+          heightOffset: options.heightOffset,
+          revitUnit: options.revitUnit,
+          frame,
+          threshold: parseFloat(options.threshold) || DEFAULT_OPTIONS.threshold,
+          silent: true,
+        }
+      );
+      if (!isFinite(calib.meanError)) return null;
+
+      // Map solver indices back onto table rows
+      const byRow = {};
+      rows.forEach(({ idx }, i) => {
+        const error = calib.errors[i];
+        const outlier = calib.outliers.includes(i);
+        byRow[idx] = {
+          error,
+          outlier,
+          loo: calib.quality.looErrors[i],
+          level: outlier || error > RESIDUAL_BAD ? "bad" : error > RESIDUAL_WARN ? "warn" : "ok",
+        };
+      });
+
+      // Capture path frames the fit places outside the model boundary
+      const path = (panoRef.current?.getCalibrationPath() ?? []).map(p => [p.x, p.y, p.z]);
+      const outside = pointsOutsideBoundary(path, calib, boundary ?? DEFAULT_BOUNDARY);
+
+      return { calib, byRow, count: rows.length, outside: outside.length, pathLength: path.length };
+    } catch (err) {
+      console.warn("[CALIB] Preview failed:", err);
+      return null;
+    }
+  }, [pointPairs, options, frame, boundary]);
+
   /* ------------------------------------------------------------------ */
   /*  UI HELPERS                                                        */
   /* ------------------------------------------------------------------ */
-  const allThreeFilled = pointPairs
-    .slice(0, 3)
-    .every(pair =>
-      ["revit", "pano"].every(space =>
-        ["x", "y", "z"].every(coord => pair[space][coord] !== "" && !isNaN(parseFloat(pair[space][coord])))
-      )
-    );
+  const minRowsFilled = pointPairs.slice(0, minPairsFor(options.model)).every(isPairComplete);
 
   return (
     <div style={{ display: "flex", height: "100vh", position: "relative", flexDirection: "column" }}>
       {/* Top-right buttons */}
       <div style={{ position: "absolute", top: 10, right: 10, zIndex: 1000, display: "flex", gap: 8 }}>
+        <DatasetPicker />
+        <SitePanel urn={urn} />
         <button onClick={() => setShowCalib(true)} style={btnStyle("#10b981")}>Calibrate</button>
         <button onClick={resetCalibration} style={btnStyle("#dc2626")}>Reset</button>
       </div>
 
+      {/* Picking banner */}
+      {calibPick && (
+        <div style={pickBanner}>
+          <span>
+            {calibPick.anchorFrame != null
+              ? `Drift anchor: click where frame ${calibPick.anchorFrame} was taken in the Forge model`
+              : calibPick.stage === "pano"
+                ? "Step 1: right-click a feature in the panorama"
+                : "Step 2: click the same feature in the Forge model"}
+            {calibPick.anchorFrame == null && (
+              <span style={{ opacity: 0.7 }}>
+                {" · "}{pointPairs.filter(isPairComplete).length} complete pairs
+              </span>
+            )}
+          </span>
+          <button onClick={() => stopPicking(true)} style={btnStyle("#10b981", 32)}>Done</button>
+          <button onClick={() => stopPicking(false)} style={btnStyle("#6b7280", 32)}>Cancel</button>
+        </div>
+      )}
+
+      {/* Orientation capture banner */}
+      {orientationCapture && (
+        <div style={pickBanner}>
+          <span>
+            Point both viewers at the same landmark, then capture
+            <span style={{ opacity: 0.7 }}>
+              {" · "}{orientationCapture.samples.length} captured
+            </span>
+          </span>
+          <button onClick={captureOrientationSample} style={btnStyle("#3b82f6", 32)}>Capture</button>
+          <button
+            onClick={() => finishOrientationCapture(true)}
+            disabled={orientationCapture.samples.length < MIN_ORIENTATION_SAMPLES}
+            style={btnStyle("#10b981", 32)}
+          >
+            Solve
+          </button>
+          <button onClick={() => finishOrientationCapture(false)} style={btnStyle("#6b7280", 32)}>Cancel</button>
+        </div>
+      )}
+
+      {/* Regression sample banner */}
+      {regressionCapture && (
+        <div style={pickBanner}>
+          <span>
+            Move the Forge camera to where this panorama was taken, then record
+            <span style={{ opacity: 0.7 }}>
+              {" · "}{regressionCapture.samples.length} recorded
+            </span>
+          </span>
+          <button
+            onClick={recordRegressionSample}
+            disabled={!activeCalibration}
+            style={btnStyle("#3b82f6", 32)}
+          >
+            Record
+          </button>
+          <select
+            value={regressionCapture.model}
+            onChange={e => setRegressionCapture({ ...regressionCapture, model: e.target.value })}
+            style={{ ...inputStyle, width: "auto" }}
+          >
+            {Object.entries(REGRESSION_MODELS).map(([key, spec]) => (
+              <option key={key} value={key}>{spec.label} ({spec.terms.length} terms)</option>
+            ))}
+          </select>
+          <button
+            onClick={() => finishRegressionCapture(true)}
+            disabled={regressionCapture.samples.length < REGRESSION_MODELS[regressionCapture.model].terms.length}
+            style={btnStyle("#10b981", 32)}
+          >
+            Fit
+          </button>
+          <button onClick={() => finishRegressionCapture(false)} style={btnStyle("#6b7280", 32)}>Cancel</button>
+        </div>
+      )}
+
       {/* Calibration modal */}
       {showCalib && (
         <div style={modalOverlay}>
           <div style={modalContent}>
             <h2>Manual Calibration</h2>
-            <p>
-              Enter **at least three** corresponding points (Revit to Panorama). <br />
-              Fill the first three rows completely, then you may add more.
-            </p>
-
-            <div style={{ maxHeight: "58vh", overflowY: "auto", marginBottom: 16 }}>
-              {pointPairs.map((pair, idx) => (
-                <div
-                  key={idx}
-                  style={{
-                    display: "flex",
-                    gap: 16,
-                    marginBottom: 12,
-                    alignItems: "center",
-                    opacity: idx < 3 ? 1 : 0.95,
-                  }}
+
+            {/* Scrolls on its own – the action row below stays in view */}
+            <div style={modalBody}>
+              {/* Profile manager */}
+              <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 8, fontSize: 13 }}>
+                <label style={{ color: "#555" }}>Profile</label>
+                <select
+                  value={activeProfileId ?? ""}
+                  onChange={e => switchProfile(e.target.value)}
+                  style={{ ...inputStyle, width: 220 }}
+                  disabled={!profiles.length}
                 >
-                  <div style={{ flex: 1 }}>
-                    <label style={labelStyle}>Revit Point {idx + 1}</label>
-                    <PointInput
-                      point={pair.revit}
-                      onChange={(c, v) => updatePoint(idx, "revit", c, v)}
-                    />
+                  {!profiles.length && <option value="">(unsaved – created on Apply)</option>}
+                  {profiles.map(p => (
+                    <option key={p.id} value={p.id}>{p.name}</option>
+                  ))}
+                </select>
+                <button onClick={newProfile} style={btnStyle("#3b82f6", 30)}>New</button>
+                <button onClick={duplicateActiveProfile} disabled={!activeProfileId} style={btnStyle("#3b82f6", 30)}>Duplicate</button>
+                <button onClick={renameActiveProfile} disabled={!activeProfileId} style={btnStyle("#3b82f6", 30)}>Rename</button>
+                <button onClick={deleteActiveProfile} disabled={!activeProfileId} style={btnStyle("#ef4444", 30)}>Delete</button>
+              </div>
+              <div style={{ fontSize: 12, color: "#6b7280", marginBottom: 8 }}>
+                Dataset <b>{datasetId}</b> · Model <b title={urn}>{urn ? `${urn.slice(0, 16)}…` : "—"}</b>
+              </div>
+              <p>
+                Enter **at least {minPairsFor(options.model)}** corresponding points (Revit to Panorama). <br />
+                Fill the first rows completely, then you may add more, or pick pairs
+                directly in the viewers.
+              </p>
+
+              <div style={{ marginBottom: 16 }}>
+                {pointPairs.map((pair, idx) => (
+                  <div
+                    key={idx}
+                    style={{
+                      display: "flex",
+                      gap: 16,
+                      marginBottom: 12,
+                      alignItems: "center",
+                      opacity: idx < 3 ? 1 : 0.95,
+                      padding: 4,
+                      borderRadius: 6,
+                      background: preview?.byRow[idx]?.level === "bad" ? "#fef2f2" : "transparent",
+                    }}
+                  >
+                    <div style={{ flex: 1 }}>
+                      <label style={labelStyle}>Revit Point {idx + 1} ({options.revitUnit})</label>
+                      <PointInput
+                        point={pair.revit}
+                        onChange={(c, v) => updatePoint(idx, "revit", c, v)}
+                      />
+                    </div>
+
+                    <div style={{ flex: 1 }}>
+                      <label style={labelStyle}>Pano Point {idx + 1} ({PANO_UNITS})</label>
+                      <PointInput
+                        point={pair.pano}
+                        onChange={(c, v) => updatePoint(idx, "pano", c, v)}
+                      />
+                    </div>
+
+                    <ResidualCell residual={preview?.byRow[idx]} unit={options.revitUnit} />
+
+                    {pointPairs.length > minPairsFor(options.model) && (
+                      <button
+                        onClick={() => removePointPair(idx)}
+                        style={btnStyle("#ef4444", 34)}
+                        title="Remove"
+                      >
+                        X
+                      </button>
+                    )}
                   </div>
+                ))}
+              </div>
+
+              {/* Live fit summary */}
+              <div style={{ marginBottom: 12, fontSize: 13, color: "#374151" }}>
+                {preview ? (
+                  <>
+                    <GradeBadge grade={preview.calib.quality.grade} />
+                    {" "}Mean error: <b>{fmtLength(preview.calib.meanError)}</b>
+                    {" · "}Max error: <b>{fmtLength(preview.calib.maxError)}</b>
+                    {" · "}{preview.count} pairs
+                    {preview.calib.outliers.length > 0 && (
+                      <span style={{ color: residualColors.bad }}>
+                        {" "}({preview.calib.outliers.length} rejected)
+                      </span>
+                    )}
+                    {preview.calib.quality.looMean !== null && (
+                      <>{" · "}Leave-one-out: <b>{fmtLength(preview.calib.quality.looMean)}</b></>
+                    )}
+                    {preview.calib.quality.warnings.map(w => (
+                      <div key={w} style={{ color: residualColors.warn, marginTop: 4 }}>⚠ {w}</div>
+                    ))}
+                    {preview.outside > 0 && (
+                      <div style={{ color: residualColors.warn, marginTop: 4 }}>
+                        ⚠ {preview.outside} of {preview.pathLength} path frames land outside the model boundary
+                      </div>
+                    )}
+                  </>
+                ) : (
+                  <span style={{ color: "#6b7280" }}>
+                    Fill at least {minPairsFor(options.model)} complete pairs to preview the fit.
+                  </span>
+                )}
+              </div>
 
-                  <div style={{ flex: 1 }}>
-                    <label style={labelStyle}>Pano Point {idx + 1}</label>
-                    <PointInput
-                      point={pair.pano}
-                      onChange={(c, v) => updatePoint(idx, "pano", c, v)}
+              {/* Solver options */}
+              <div style={{ display: "flex", gap: 16, alignItems: "center", marginBottom: 16, fontSize: 13 }}>
+                <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                  Model
+                  <select
+                    value={options.model}
+                    onChange={e => setOptions({ ...options, model: e.target.value })}
+                    style={{ ...inputStyle, width: "auto" }}
+                  >
+                    {Object.entries(CALIBRATION_MODELS).map(([key, spec]) => (
+                      <option key={key} value={key}>{spec.label}</option>
+                    ))}
+                  </select>
+                </label>
+                <label
+                  style={{ display: "flex", gap: 6, alignItems: "center" }}
+                  title={`Unit of the typed Revit coordinates${modelUnits ? ` – the model is in ${UNITS[modelUnits.unit].label}` : ""}`}
+                >
+                  Revit units
+                  <select
+                    value={options.revitUnit}
+                    onChange={e => setOptions({ ...options, revitUnit: e.target.value })}
+                    style={{ ...inputStyle, width: "auto" }}
+                  >
+                    {Object.entries(UNITS).map(([key, spec]) => (
+                      <option key={key} value={key}>{spec.label}</option>
+                    ))}
+                  </select>
+                </label>
+                {options.model === "planar" && (
+                  <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                    Height offset ({options.revitUnit})
+                    <input
+                      value={options.heightOffset}
+                      placeholder="auto"
+                      onChange={e => setOptions({ ...options, heightOffset: e.target.value })}
+                      style={{ ...inputStyle, width: 60 }}
+                    />
+                  </label>
+                )}
+                <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                  <input
+                    type="checkbox"
+                    checked={options.robust}
+                    onChange={e => setOptions({ ...options, robust: e.target.checked })}
+                  />
+                  Reject outlier pairs (RANSAC)
+                </label>
+                {options.robust && (
+                  <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                    Inlier threshold (m)
+                    <input
+                      value={options.threshold}
+                      onChange={e => setOptions({ ...options, threshold: e.target.value })}
+                      style={{ ...inputStyle, width: 60 }}
                     />
+                  </label>
+                )}
+              </div>
+
+              {/* Camera orientation */}
+              <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 16, fontSize: 13 }}>
+                <span style={{ color: "#555" }}>Camera orientation:</span>
+                {orientation?.solved ? (
+                  <span>
+                    solved from <b>{orientation.samples.length}</b> views · mean error{" "}
+                    <b>{orientation.meanError.toFixed(2)}°</b>
+                  </span>
+                ) : (
+                  <span style={{ color: "#6b7280" }}>hand-tuned default</span>
+                )}
+                <button onClick={startOrientationCapture} style={btnStyle("#8b5cf6", 30)}>Align views…</button>
+                {orientation?.solved && (
+                  <button onClick={resetOrientation} style={btnStyle("#6b7280", 30)}>Use default</button>
+                )}
+              </div>
+
+              {/* Position regression */}
+              <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 16, fontSize: 13 }}>
+                <span style={{ color: "#555" }}>Position correction:</span>
+                {regression ? (
+                  <span>
+                    {REGRESSION_MODELS[regression.model]?.label ?? regression.model} · <b>{regression.stats.n}</b> samples
+                    {" · "}RMSE <b>{fmtLength(regression.stats.rmse)}</b>
+                    {" · "}R² {regression.stats.r2.x.toFixed(3)} / {regression.stats.r2.y.toFixed(3)}
+                    {!regressionMatches(regression, activeCalibration) && (
+                      <span style={{ color: "#dc2626" }}>
+                        {" · "}fitted against a different calibration – not applied, record again to refit
+                      </span>
+                    )}
+                  </span>
+                ) : (
+                  <span style={{ color: "#6b7280" }}>none – calibration only</span>
+                )}
+                <button
+                  onClick={startRegressionCapture}
+                  disabled={!activeCalibration}
+                  style={btnStyle("#8b5cf6", 30)}
+                >
+                  Record samples…
+                </button>
+                {regression && (
+                  <button onClick={removeRegression} style={btnStyle("#6b7280", 30)}>Remove</button>
+                )}
+              </div>
+
+              {/* Drift-correction anchors */}
+              <div style={{ marginBottom: 16, fontSize: 13 }}>
+                <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 6 }}>
+                  <span style={{ color: "#555" }}>Drift anchors:</span>
+                  {!anchors.length && <span style={{ color: "#6b7280" }}>none – global transform only</span>}
+                  <button onClick={startAnchorPick} style={btnStyle("#8b5cf6", 30)}>
+                    + Anchor current frame
+                  </button>
+                </div>
+                {anchors.map(a => (
+                  <div key={a.frameIndex} style={{ display: "flex", gap: 10, alignItems: "center", fontFamily: "monospace" }}>
+                    <span>frame {a.frameIndex}</span>
+                    <span style={{ color: "#6b7280" }}>
+                      → ({["x", "y", "z"].map(c => fromMeters(a.forge[c], options.revitUnit).toFixed(2)).join(", ")}) {options.revitUnit}
+                    </span>
+                    <button
+                      onClick={() => removeAnchor(a.frameIndex)}
+                      title="Remove anchor"
+                      style={{ ...btnStyle("#ef4444", 22), padding: "0 6px" }}
+                    >
+                      ✕
+                    </button>
                   </div>
+                ))}
+              </div>
 
-                  {pointPairs.length > 3 && (
+              {/* Model boundary */}
+              <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 16, fontSize: 13 }}>
+                <span style={{ color: "#555" }}>Model boundary:</span>
+                {boundary ? (
+                  <span>
+                    <b>{boundary.polygons.length}</b> polygon(s)
+                    {boundary.polygons.some(p => p.holes.length) &&
+                      ` · ${boundary.polygons.reduce((n, p) => n + p.holes.length, 0)} hole(s)`}
+                  </span>
+                ) : (
+                  <span style={{ color: "#6b7280" }}>default outline</span>
+                )}
+                <button onClick={editBoundary} style={btnStyle("#8b5cf6", 30)}>Edit boundary…</button>
+              </div>
+
+              {/* History */}
+              {history.length > 0 && (
+                <div style={{ marginBottom: 16, fontSize: 13 }}>
+                  <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 6 }}>
+                    <span style={{ color: "#555" }}>History:</span>
                     <button
-                      onClick={() => removePointPair(idx)}
-                      style={btnStyle("#ef4444", 34)}
-                      title="Remove"
+                      onClick={() => restoreHistory(historyIndex - 1)}
+                      disabled={!canUndo(historyIndex)}
+                      style={btnStyle("#6b7280", 28)}
                     >
-                      X
+                      ↶ Undo
                     </button>
+                    <button
+                      onClick={() => restoreHistory(historyIndex + 1)}
+                      disabled={!canRedo(history, historyIndex)}
+                      style={btnStyle("#6b7280", 28)}
+                    >
+                      Redo ↷
+                    </button>
+                  </div>
+                  <div style={{ maxHeight: 120, overflowY: "auto", border: "1px solid #e5e7eb", borderRadius: 4 }}>
+                    {history.map((entry, idx) => ({ entry, idx })).reverse().map(({ entry, idx }) => (
+                      <div
+                        key={entry.id}
+                        style={{
+                          display: "flex",
+                          gap: 10,
+                          alignItems: "center",
+                          padding: "3px 6px",
+                          background: idx === historyIndex ? "#ecfdf5" : "transparent",
+                        }}
+                      >
+                        <span style={{ fontFamily: "monospace" }}>{new Date(entry.createdAt).toLocaleString()}</span>
+                        {entry.transform ? (
+                          <span>
+                            {entry.transform.model} · {entry.pairs.length} pairs
+                            {entry.anchors?.length ? ` · ${entry.anchors.length} anchors` : ""} · mean{" "}
+                            {fmtLength(entry.residuals.meanError)}
+                            {entry.residuals.grade && <> · grade {entry.residuals.grade}</>}
+                          </span>
+                        ) : (
+                          <span style={{ color: "#6b7280" }}>reset</span>
+                        )}
+                        <span style={{ flex: 1 }} />
+                        {idx === historyIndex ? (
+                          <span style={{ color: residualColors.ok }}>current</span>
+                        ) : (
+                          <button onClick={() => restoreHistory(idx)} style={btnStyle("#3b82f6", 22)}>Restore</button>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+
+                  {/* Compare two entries */}
+                  <div style={{ display: "flex", gap: 6, alignItems: "center", marginTop: 6 }}>
+                    <span style={{ color: "#555" }}>Compare</span>
+                    {["a", "b"].map(side => (
+                      <select
+                        key={side}
+                        value={compare[side]}
+                        onChange={e => setCompare({ ...compare, [side]: e.target.value })}
+                        style={{ ...inputStyle, width: 180 }}
+                      >
+                        <option value="">—</option>
+                        {history.filter(e => e.transform).map(e => (
+                          <option key={e.id} value={e.id}>{new Date(e.createdAt).toLocaleString()}</option>
+                        ))}
+                      </select>
+                    ))}
+                  </div>
+                  {historyDiff && (
+                    <div style={{ marginTop: 4, fontFamily: "monospace", fontSize: 12 }}>
+                      scale ×{historyDiff.scaleRatio.toFixed(4)} ({historyDiff.scaleDelta >= 0 ? "+" : ""}
+                      {historyDiff.scaleDelta.toFixed(4)})
+                      {" · "}rotation {historyDiff.rotationDeg.toFixed(2)}°
+                      {" · "}translation Δ [{convertPoint(historyDiff.translationDelta, "m", options.revitUnit).map(v => v.toFixed(3)).join(", ")}] {options.revitUnit}
+                      {historyDiff.anchors[0] !== historyDiff.anchors[1] && <>{" · "}anchors {historyDiff.anchors[0]} → {historyDiff.anchors[1]}</>}
+                      {" · "}avg shift {fmtLength(historyDiff.meanShift)} (max {fmtLength(historyDiff.maxShift)})
+                    </div>
                   )}
                 </div>
-              ))}
-            </div>
+              )}
 
-            {/* Add button – visible only after the first 3 are filled */}
-            {allThreeFilled && (
-              <div style={{ marginBottom: 16 }}>
-                <button onClick={addPointPair} style={btnStyle("#3b82f6")}>
-                  + Add another point pair
-                </button>
-              </div>
-            )}
+              {/* Add button – visible only after the first 3 are filled */}
+              {minRowsFilled && (
+                <div style={{ marginBottom: 16 }}>
+                  <button onClick={addPointPair} style={btnStyle("#3b82f6")}>
+                    + Add another point pair
+                  </button>
+                </div>
+              )}
+            </div>
 
-            <div style={{ display: "flex", gap: 12, justifyContent: "flex-end" }}>
+            <div style={{ display: "flex", gap: 12, justifyContent: "flex-end", paddingTop: 12, borderTop: "1px solid #e5e7eb" }}>
+              <button onClick={autoAlign} disabled={autoAligning} style={btnStyle("#0ea5e9")}>
+                {autoAligning ? "Aligning…" : "Auto-align"}
+              </button>
+              <button onClick={startPicking} style={btnStyle("#8b5cf6")}>
+                Pick in viewers
+              </button>
+              <button onClick={() => importInputRef.current?.click()} style={btnStyle("#0ea5e9")}>
+                Import
+              </button>
+              <button onClick={exportCalibration} style={{ ...btnStyle("#0ea5e9"), marginRight: "auto" }}>
+                Export
+              </button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept=".json,application/json"
+                onChange={importCalibration}
+                style={{ display: "none" }}
+              />
               <button onClick={() => setShowCalib(false)} style={btnStyle("#6b7280")}>
                 Cancel
               </button>
@@ -273,6 +1233,54 @@ const PointInput = ({ point, onChange }) => (
   </div>
 );
 
+/* ------------------------------------------------------------------ */
+/*  Per-pair residual                                                 */
+/* ------------------------------------------------------------------ */
+const ResidualCell = ({ residual, unit }) => (
+  <div style={{ width: 90, textAlign: "right" }}>
+    <label style={labelStyle}>Residual</label>
+    <div
+      title={residual?.outlier ? "Rejected as outlier" : undefined}
+      style={{
+        fontSize: 13,
+        fontWeight: "bold",
+        fontFamily: "monospace",
+        color: residual ? residualColors[residual.level] : "#9ca3af",
+      }}
+    >
+      {residual ? formatLength(residual.error, unit) : "—"}
+      {residual?.outlier && " ✕"}
+    </div>
+    {residual?.loo != null && (
+      <div
+        title="Error when this pair is left out of the fit"
+        style={{ fontSize: 11, fontFamily: "monospace", color: "#6b7280" }}
+      >
+        LOO {formatLength(residual.loo, unit)}
+      </div>
+    )}
+  </div>
+);
+
+/* ------------------------------------------------------------------ */
+/*  Calibration quality grade                                         */
+/* ------------------------------------------------------------------ */
+const GradeBadge = ({ grade }) => (
+  <span
+    title="Calibration quality (leave-one-out error + point geometry)"
+    style={{
+      display: "inline-block",
+      padding: "1px 8px",
+      borderRadius: 10,
+      background: GRADE_COLORS[grade],
+      color: "white",
+      fontWeight: "bold",
+    }}
+  >
+    {grade}
+  </span>
+);
+
 /* ------------------------------------------------------------------ */
 /*  Styles                                                            */
 /* ------------------------------------------------------------------ */
@@ -286,6 +1294,8 @@ const inputStyle = {
 
 const labelStyle = { fontSize: 12, color: "#555", display: "block", marginBottom: 4 };
 
+const residualColors = { ok: "#059669", warn: "#d97706", bad: "#dc2626" };
+
 const btnStyle = (bg, height = 40) => ({
   padding: "8px 12px",
   background: bg,
@@ -301,6 +1311,22 @@ const btnStyle = (bg, height = 40) => ({
   justifyContent: "center",
 });
 
+const pickBanner = {
+  position: "absolute",
+  top: 10,
+  left: "50%",
+  transform: "translateX(-50%)",
+  zIndex: 1500,
+  display: "flex",
+  gap: 10,
+  alignItems: "center",
+  padding: "8px 14px",
+  background: "rgba(17,24,39,0.9)",
+  color: "white",
+  borderRadius: 8,
+  fontSize: 13,
+};
+
 const modalOverlay = {
   position: "absolute",
   inset: 0,
@@ -315,9 +1341,16 @@ const modalContent = {
   background: "white",
   padding: 24,
   borderRadius: 12,
-  width: 740,
+  width: 840,
   maxHeight: "90vh",
   overflow: "hidden",
   display: "flex",
   flexDirection: "column",
+};
+
+const modalBody = {
+  flex: 1,
+  minHeight: 0,
+  overflowY: "auto",
+  marginBottom: 12,
 };
\ No newline at end of file
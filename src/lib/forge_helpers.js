@@ -1,164 +1,140 @@
-/*  src/lib/forge_helpers.js  –  COMPLETE UMEYAMA CALIBRATION  */
-import * as THREE from "three";
-
+/*  src/lib/forge_helpers.js  –  Forge-side helpers  */
+import { solveTransform } from "../utils/calibrationEngine";
+import { forgeModelUnits } from "../utils/units";
+import { useSyncStore } from "../store/syncStore";
+
+const toArr = (p) => [p.x, p.y, p.z];
+
+/**
+ * Revit ↔ Pano similarity for {x,y,z} point lists (Pano → Revit).
+ * Thin adapter over the shared calibration engine; kept for callers that
+ * still expect the { R, scale, t, M } shape.
+ */
 export function computeTransform(revitPoints, panoPoints) {
-  console.log("\n=== computeTransform START ===");
-  console.log("revitPoints:", revitPoints);
-  console.log("panoPoints:", panoPoints);
-
-  // --------------------------------------------------------------
-  // 0. Validation
-  // --------------------------------------------------------------
   if (revitPoints.length !== panoPoints.length || revitPoints.length < 3) {
     throw new Error("Need at least 3 matching points");
   }
-  if (typeof window.numeric === "undefined") {
-    throw new Error("numeric.js not loaded");
-  }
-
-  const n = revitPoints.length;
-
-  // --------------------------------------------------------------
-  // 1. Centroids  (A = Revit, B = Pano)
-  // --------------------------------------------------------------
-  const centroidA = new THREE.Vector3();
-  const centroidB = new THREE.Vector3();
-
-  revitPoints.forEach(p => centroidA.add(new THREE.Vector3(p.x, p.y, p.z)));
-  panoPoints.forEach(p => centroidB.add(new THREE.Vector3(p.x, p.y, p.z)));
 
-  centroidA.divideScalar(n);
-  centroidB.divideScalar(n);
+  const fit = solveTransform(panoPoints.map(toArr), revitPoints.map(toArr), {
+    model: "similarity",
+  });
+  const { scale, rotation: R, translation: t, matrix: A } = fit;
 
-  console.log("[1] Centroid Revit (A):", centroidA.toArray().map(v => v.toFixed(4)));
-  console.log("[1] Centroid Pano  (B):", centroidB.toArray().map(v => v.toFixed(4)));
-
-  // --------------------------------------------------------------
-  // 2. Covariance matrix H = Σ (a_i * b_iᵀ)
-  // --------------------------------------------------------------
-  const H = [
-    [0, 0, 0],
-    [0, 0, 0],
-    [0, 0, 0]
-  ];
-
-  for (let i = 0; i < n; i++) {
-    const a = new THREE.Vector3(revitPoints[i].x, revitPoints[i].y, revitPoints[i].z).sub(centroidA);
-    const b = new THREE.Vector3(panoPoints[i].x, panoPoints[i].y, panoPoints[i].z).sub(centroidB);
-
-    for (let r = 0; r < 3; r++) {
-      for (let c = 0; c < 3; c++) {
-        H[r][c] += a.getComponent(r) * b.getComponent(c);
-      }
-    }
-  }
-
-  console.log("[2] Covariance matrix H:");
-  H.forEach(row => console.log(row.map(v => v.toFixed(6)).join("\t")));
-
-  // --------------------------------------------------------------
-  // 3. SVD  →  H = U Σ Vᵀ
-  // --------------------------------------------------------------
-  const svd = window.numeric.svd(H);
-  console.log("[3] SVD singular values (Σ):", svd.S.map(v => v.toFixed(6)));
-
-  const U = new THREE.Matrix3().fromArray([
-    svd.U[0][0], svd.U[1][0], svd.U[2][0],
-    svd.U[0][1], svd.U[1][1], svd.U[2][1],
-    svd.U[0][2], svd.U[1][2], svd.U[2][2]
-  ]);
-  const V = new THREE.Matrix3().fromArray([
-    svd.V[0][0], svd.V[1][0], svd.V[2][0],
-    svd.V[0][1], svd.V[1][1], svd.V[2][1],
-    svd.V[0][2], svd.V[1][2], svd.V[2][2]
-  ]);
-
-  console.log("[3] U matrix:");
-  console.log(U.elements.map((v, i) => (i % 3 === 0 ? "\n" : "") + v.toFixed(6)).join("\t"));
-  console.log("[3] V matrix:");
-  console.log(V.elements.map((v, i) => (i % 3 === 0 ? "\n" : "") + v.toFixed(6)).join("\t"));
-
-  // --------------------------------------------------------------
-  // 4. Reflection correction  (det(R) must be +1)
-  // --------------------------------------------------------------
-  const detProd = U.determinant() * V.determinant();
-  console.log("[4] det(U)*det(V) =", detProd.toFixed(6));
-
-  const S = new THREE.Matrix3().identity();          // diag(1,1,1)
-  if (detProd < 0) {
-    console.log("[4] *** REFLECTION DETECTED – flip smallest singular value ***");
-    S.set(1, 0, 0, 0, 1, 0, 0, 0, -1);
-  }
-
-  // --------------------------------------------------------------
-  // 5. Rotation R = U * S * Vᵀ
-  // --------------------------------------------------------------
-  const R = new THREE.Matrix3()
-    .multiplyMatrices(U, S)
-    .multiply(V.transpose());
-
-  console.log("[5] Rotation matrix R (det ≈ 1):");
-  console.log(R.elements.map((v, i) => (i % 3 === 0 ? "\n" : "") + v.toFixed(6)).join("\t"));
-  console.log("det(R) =", R.determinant().toFixed(6));
-
-  // --------------------------------------------------------------
-  // 6. Optimal uniform scale s = trace(Σ) / Σ||b_i||²
-  // --------------------------------------------------------------
-  const traceSigma = svd.S.reduce((a, b) => a + b, 0);
-  let sumSqB = 0;
-  for (let i = 0; i < n; i++) {
-    const b = new THREE.Vector3(panoPoints[i].x, panoPoints[i].y, panoPoints[i].z).sub(centroidB);
-    sumSqB += b.lengthSq();
-  }
-  const scale = traceSigma / (sumSqB + 1e-12);
-  console.log("[6] Optimal uniform scale s =", scale.toFixed(6));
-
-  // --------------------------------------------------------------
-  // 7. Translation t = centroidA - s * R * centroidB
-  // --------------------------------------------------------------
-  const t = centroidA.clone().sub(
-    centroidB.clone().multiplyScalar(scale).applyMatrix3(R)
-  );
-  console.log("[7] Translation t:", t.toArray().map(v => v.toFixed(4)));
-
-  // --------------------------------------------------------------
-  // 8. 4×4 similarity matrix M = [ sR  t ]
-  //                               [  0  1 ]
-  // --------------------------------------------------------------
-  const M = new THREE.Matrix4();
-  M.set(
-    scale * R.elements[0], scale * R.elements[3], scale * R.elements[6], t.x,
-    scale * R.elements[1], scale * R.elements[4], scale * R.elements[7], t.y,
-    scale * R.elements[2], scale * R.elements[5], scale * R.elements[8], t.z,
-    0,                     0,                     0,                     1
-  );
-
-  // --------------------------------------------------------------
-  // 9. Verify a few points (Pano → Revit)
-  // --------------------------------------------------------------
-  console.log("[9] Verification (first 3 points):");
-  for (let i = 0; i < Math.min(3, n); i++) {
-    const pB = new THREE.Vector3(panoPoints[i].x, panoPoints[i].y, panoPoints[i].z);
-    const pA = new THREE.Vector3(revitPoints[i].x, revitPoints[i].y, revitPoints[i].z);
-    const transformed = pB.clone().multiplyScalar(scale).applyMatrix3(R).add(t);
-
-    console.log(
-      `  #${i}  Pano(${pB.toArray().map(v=>v.toFixed(1)).join()}) → Revit(${transformed.toArray().map(v=>v.toFixed(3)).join()}) ` +
-      `(orig ${pA.toArray().map(v=>v.toFixed(3)).join()})`
-    );
-  }
-
-  console.log("=== computeTransform END ===\n");
-
-  // --------------------------------------------------------------
-  // 10. Return everything
-  // --------------------------------------------------------------
   return {
-    R: R.toArray(),               // 3×3 rotation (row-major)
-    scale,                     // uniform scale
-    t: t.toArray(),               // translation
-    M: M.toArray(),               // 4×4 similarity matrix (column-major)
-    centroidA: centroidA.toArray(),
-    centroidB: centroidB.toArray()
+    R: R.flat(),                  // 3×3 rotation (row-major)
+    scale,                        // uniform scale
+    t,                            // translation
+    // 4×4 similarity matrix M = [ sR  t ; 0 1 ] (column-major)
+    M: [
+      A[0][0], A[1][0], A[2][0], 0,
+      A[0][1], A[1][1], A[2][1], 0,
+      A[0][2], A[1][2], A[2][2], 0,
+      t[0],    t[1],    t[2],    1,
+    ],
+    meanError: fit.meanError,
+    maxError: fit.maxError,
   };
-}
\ No newline at end of file
+}
+
+/* ------------------------------------------------------------------ */
+/*  Walkable areas (for automatic alignment)                          */
+/* ------------------------------------------------------------------ */
+
+// Revit categories tried in order – rooms first, floor slabs as fallback
+const WALKABLE_CATEGORIES = ["Revit Rooms", "Revit Floors"];
+
+const searchCategory = (viewer, category) =>
+  new Promise((resolve) => {
+    viewer.search(`"${category}"`, resolve, () => resolve([]), ["Category"], { searchHidden: true });
+  });
+
+// Faces count as floor when their normal points this close to straight up
+const MIN_UP_NORMAL = 0.7;
+
+// Upward-facing triangles of one fragment, viewer-local coordinates:
+//   [[ax, ay, bx, by, cx, cy, z], ...]
+function fragmentTopTriangles(viewer, model, fragId, THREE) {
+  const proxy = viewer.impl.getRenderProxy(model, fragId);
+  const geometry = proxy?.geometry;
+  const positions = geometry?.vb ?? geometry?.attributes?.position?.array;
+  if (!positions) return [];
+
+  const stride = geometry.vbstride ?? 3;
+  const posOffset = geometry.attributes?.position?.itemOffset ?? 0;
+  const indices = geometry.ib ?? geometry.index?.array;
+  const groups = geometry.offsets?.length
+    ? geometry.offsets
+    : [{ start: 0, count: indices ? indices.length : positions.length / stride, index: 0 }];
+
+  const matrix = proxy.matrixWorld;
+  const vertex = (i) =>
+    new THREE.Vector3().fromArray(positions, i * stride + posOffset).applyMatrix4(matrix);
+
+  const out = [];
+  const ab = new THREE.Vector3();
+  const ac = new THREE.Vector3();
+  groups.forEach(({ start, count, index = 0 }) => {
+    for (let i = start; i + 2 < start + count; i += 3) {
+      const [a, b, c] = [0, 1, 2].map((k) => vertex(index + (indices ? indices[i + k] : i + k)));
+      const n = ab.subVectors(b, a).cross(ac.subVectors(c, a));
+      const len = n.length();
+      if (len === 0 || n.z / len < MIN_UP_NORMAL) continue;
+      out.push([a.x, a.y, b.x, b.y, c.x, c.y, Math.max(a.z, b.z, c.z)]);
+    }
+  });
+  return out;
+}
+
+/**
+ * Plan-view footprints of the model's rooms (or floors) in model meters:
+ *   [{ dbId, triangles: [[ax, ay, bx, by, cx, cy], ...], min: [x, y], max: [x, y], z }]
+ * triangles are the element's upward faces projected to XY (L-shaped rooms,
+ * slab openings and rotated buildings keep their outline); z = top of the
+ * element. Elements without readable geometry keep their bounding box
+ * (no triangles). Converted with the same globalOffset + modelUnits scale as
+ * ForgeViewer's viewerLocalToWorld.
+ */
+export async function getWalkableRegions(viewer, categories = WALKABLE_CATEGORIES) {
+  const model = viewer?.model;
+  const THREE = window.THREE;
+  if (!model || !THREE) throw new Error("Forge model is not loaded");
+
+  const tree = model.getData().instanceTree;
+  const fragList = model.getFragmentList();
+  const go = model.getData().globalOffset || { x: 0, y: 0, z: 0 };
+  const unit = useSyncStore.getState().modelUnits?.scale ?? forgeModelUnits(model).scale;
+  const toMeters = (v) => [(v.x + go.x) * unit, (v.y + go.y) * unit, (v.z + go.z) * unit];
+
+  for (const category of categories) {
+    const dbIds = await searchCategory(viewer, category);
+    const regions = [];
+
+    dbIds.forEach((dbId) => {
+      const box = new THREE.Box3();
+      const fragBox = new THREE.Box3();
+      const local = [];
+      tree.enumNodeFragments(dbId, (fragId) => {
+        fragList.getWorldBounds(fragId, fragBox);
+        box.union(fragBox);
+        local.push(...fragmentTopTriangles(viewer, model, fragId, THREE));
+      }, true);
+      if (box.isEmpty()) return;
+
+      const min = toMeters(box.min);
+      const max = toMeters(box.max);
+      const triangles = local.map((t) => [
+        (t[0] + go.x) * unit, (t[1] + go.y) * unit,
+        (t[2] + go.x) * unit, (t[3] + go.y) * unit,
+        (t[4] + go.x) * unit, (t[5] + go.y) * unit,
+      ]);
+      const z = local.length ? (Math.max(...local.map((t) => t[6])) + go.z) * unit : max[2];
+      regions.push({ dbId, triangles, min: [min[0], min[1]], max: [max[0], max[1]], z });
+    });
+
+    if (regions.length) {
+      console.log(`[FORGE] ${regions.length} walkable regions from "${category}"`);
+      return regions;
+    }
+  }
+  return [];
+}
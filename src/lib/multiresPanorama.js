@@ -0,0 +1,233 @@
+/**
+ * Multires Panorama - streams equirect tiles onto the pano sphere
+ *
+ * Tiles come from scripts/tile-panoramas.js: images_360/tiles/index.json lists
+ * every tiled image's levels (level 0 = 2048 px wide, doubling up to the
+ * source width), each cut into tileSize squares. The sphere shows the
+ * low-res preview; tiles are drawn as sphere patches in front of it.
+ *
+ * Only the level whose texel density matches the screen is loaded, and only
+ * its tiles inside the view frustum, nearest the view centre first. Tiles are
+ * children of the sphere, so the capture orientation applies to them too.
+ * Lower-level tiles stay visible below until the sharper ones arrive.
+ */
+import * as THREE from "three";
+
+const TILE_RADIUS = 499; // just inside the 500 m pano sphere
+const SEGMENTS = 64; // segments around the whole sphere (as the base sphere)
+const SAMPLES = [0, 0.5, 1]; // tile points sampled for the bounding sphere
+
+// index.json per tiles folder (a promise, so concurrent lookups share one fetch)
+const indexCache = new Map();
+
+/**
+ * Tile index of a folder, null when it has not been tiled
+ */
+export function loadTileIndex(url) {
+  if (!url) return Promise.resolve(null);
+  if (!indexCache.has(url)) {
+    indexCache.set(
+      url,
+      fetch(url)
+        .then((res) => (res.ok ? res.json() : null))
+        .then((json) => (json?.tileSize && json.images ? json : null))
+        .catch(() => null)
+    );
+  }
+  return indexCache.get(url);
+}
+
+// Image direction (x, y as fractions of width, height) in sphere-local space –
+// the same mapping the sphere's flipped base texture uses
+const direction = (s, t) => {
+  const phi = 2 * Math.PI * (1 - s);
+  const theta = Math.PI * t;
+  return new THREE.Vector3(-Math.cos(phi) * Math.sin(theta), Math.cos(theta), Math.sin(phi) * Math.sin(theta));
+};
+
+export class MultiresPanorama {
+  constructor(sphere, { maxConcurrent = 4, maxTiles = 160, loader = new THREE.TextureLoader() } = {}) {
+    this.sphere = sphere;
+    this.maxConcurrent = maxConcurrent;
+    this.maxTiles = maxTiles; // loaded tile textures kept for the current image
+    this.loader = loader;
+
+    this.image = null; // { levels, tileSize, tileUrl }
+    this.levels = []; // per level: [{ key, level, row, col, bounds, mesh, state }]
+    this.loading = 0;
+    this.generation = 0; // bumped per image – late loads of older images are dropped
+    this.frame = 0;
+
+    this.frustum = new THREE.Frustum();
+    this.matrix = new THREE.Matrix4();
+    this.bounds = new THREE.Sphere();
+    this.forward = new THREE.Vector3();
+  }
+
+  /**
+   * Switch to an image: { key, levels, tileSize, tileUrl(level, row, col) }, or null for none.
+   * The same key again keeps the tiles already loaded.
+   */
+  show(image) {
+    if (image?.key && image.key === this.image?.key) return;
+    this.clear();
+    if (!image?.levels?.length) return;
+    this.image = image;
+
+    const { tileSize } = image;
+    this.levels = image.levels.map(({ width, height, cols, rows }, level) => {
+      const tiles = [];
+      for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+          const s0 = (col * tileSize) / width;
+          const s1 = Math.min(1, ((col + 1) * tileSize) / width);
+          const t0 = (row * tileSize) / height;
+          const t1 = Math.min(1, ((row + 1) * tileSize) / height);
+          const points = [];
+          SAMPLES.forEach((a) => SAMPLES.forEach((b) => points.push(direction(s0 + a * (s1 - s0), t0 + b * (t1 - t0)).multiplyScalar(TILE_RADIUS))));
+          tiles.push({
+            key: `${level}/${row}_${col}`,
+            level,
+            row,
+            col,
+            rect: [s0, s1, t0, t1],
+            bounds: new THREE.Sphere().setFromPoints(points),
+            centre: direction((s0 + s1) / 2, (t0 + t1) / 2),
+            mesh: null,
+            state: "idle", // idle | loading | loaded | failed
+            seen: 0,
+          });
+        }
+      }
+      return tiles;
+    });
+  }
+
+  /**
+   * Level whose texels are at least as dense as the screen pixels
+   */
+  levelFor(camera, viewportHeight) {
+    const pxPerRadian = viewportHeight / THREE.MathUtils.degToRad(camera.getEffectiveFOV());
+    const level = this.image.levels.findIndex((l) => l.width / (2 * Math.PI) >= pxPerRadian);
+    return level >= 0 ? level : this.image.levels.length - 1;
+  }
+
+  /**
+   * Load the visible tiles for the camera – call once per rendered frame
+   */
+  update(camera, viewportHeight) {
+    if (!this.image) return;
+    this.frame++;
+
+    camera.updateMatrixWorld();
+    this.sphere.updateMatrixWorld();
+    this.matrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    this.frustum.setFromProjectionMatrix(this.matrix);
+    camera.getWorldDirection(this.forward);
+
+    const visible = this.levels[this.levelFor(camera, viewportHeight)].filter((tile) => {
+      this.bounds.copy(tile.bounds).applyMatrix4(this.sphere.matrixWorld);
+      return this.frustum.intersectsSphere(this.bounds);
+    });
+    visible.forEach((tile) => (tile.seen = this.frame));
+
+    if (this.loading >= this.maxConcurrent) return;
+    const pending = visible.filter((t) => t.state === "idle");
+    if (!pending.length) return;
+
+    // Nearest the view centre first
+    const quat = this.sphere.getWorldQuaternion(new THREE.Quaternion());
+    const angle = (t) => t.centre.clone().applyQuaternion(quat).angleTo(this.forward);
+    pending
+      .sort((a, b) => angle(a) - angle(b))
+      .slice(0, this.maxConcurrent - this.loading)
+      .forEach((tile) => this.load(tile));
+  }
+
+  load(tile) {
+    const generation = this.generation;
+    tile.state = "loading";
+    this.loading++;
+
+    this.loader.load(
+      this.image.tileUrl(tile.level, tile.row, tile.col),
+      (tex) => {
+        if (generation !== this.generation) {
+          tex.dispose();
+          return;
+        }
+        this.loading--;
+        tex.minFilter = THREE.LinearFilter;
+        tex.generateMipmaps = false;
+        tex.flipY = true;
+        tex.center.set(0.5, 0.5); // flipped horizontally like the base texture
+        tex.repeat.set(-1, 1);
+        tex.needsUpdate = true;
+
+        const [s0, s1, t0, t1] = tile.rect;
+        const geo = new THREE.SphereGeometry(
+          TILE_RADIUS - tile.level * 0.01,
+          Math.max(2, Math.ceil(SEGMENTS * (s1 - s0))),
+          Math.max(2, Math.ceil((SEGMENTS / 2) * (t1 - t0))),
+          2 * Math.PI * (1 - s1),
+          2 * Math.PI * (s1 - s0),
+          Math.PI * t0,
+          Math.PI * (t1 - t0)
+        );
+        const mat = new THREE.MeshBasicMaterial({ map: tex, side: THREE.BackSide, depthWrite: false });
+        tile.mesh = new THREE.Mesh(geo, mat);
+        tile.mesh.renderOrder = tile.level + 1; // sharper levels over coarser ones
+        tile.mesh.name = `pano-tile-${tile.key}`;
+        tile.state = "loaded";
+        this.sphere.add(tile.mesh);
+        this.evict();
+      },
+      undefined,
+      (err) => {
+        if (generation !== this.generation) return;
+        this.loading--;
+        tile.state = "failed";
+        console.warn(`[PANO] ⚠️ Tile ${tile.key} failed:`, err?.message ?? err);
+      }
+    );
+  }
+
+  // Over budget → drop the tiles seen longest ago
+  evict() {
+    const loaded = this.levels.flat().filter((t) => t.state === "loaded");
+    if (loaded.length <= this.maxTiles) return;
+    loaded
+      .sort((a, b) => a.seen - b.seen)
+      .slice(0, loaded.length - this.maxTiles)
+      .forEach((tile) => this.unload(tile));
+  }
+
+  unload(tile) {
+    if (tile.mesh) {
+      this.sphere.remove(tile.mesh);
+      tile.mesh.geometry.dispose();
+      tile.mesh.material.map.dispose();
+      tile.mesh.material.dispose();
+      tile.mesh = null;
+    }
+    tile.state = "idle";
+  }
+
+  /**
+   * Drop every tile of the current image
+   */
+  clear() {
+    this.generation++;
+    this.levels.flat().forEach((tile) => this.unload(tile));
+    this.levels = [];
+    this.image = null;
+    this.loading = 0;
+  }
+
+  dispose() {
+    this.clear();
+    this.sphere = null;
+  }
+}
+
+export default MultiresPanorama;
@@ -0,0 +1,148 @@
+/**
+ * Playback Engine - walks a capture path at real capture speed
+ *
+ * Frame times come from the dataset timestamps (seconds). Frames without
+ * usable timestamps are spaced `frameInterval` apart, and capture pauses
+ * longer than `maxGap` are shortened to it. Pacing runs on
+ * requestAnimationFrame and each tick advances the clock by at most 0.25 s,
+ * so after a stall (slow frame, background tab) playback resumes where it
+ * was instead of skipping frames – it falls behind wall time by the stall.
+ */
+
+export const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+export class PlaybackEngine {
+  constructor({ onFrame, onStateChange, frameInterval = 0.5, maxGap = 3 } = {}) {
+    this.onFrame = onFrame;
+    this.onStateChange = onStateChange;
+    this.frameInterval = frameInterval;
+    this.maxGap = maxGap;
+
+    this.times = []; // playback time (s) of each frame, starting at 0
+    this.hasTimestamps = false;
+    this.index = 0;
+    this.clock = 0;
+    this.speed = 1;
+    this.loop = false;
+    this.playing = false;
+    this.rafId = null;
+    this.lastTick = null;
+  }
+
+  /**
+   * Frame timestamps in seconds (null / non-increasing entries are spaced by frameInterval)
+   */
+  setTimestamps(timestamps) {
+    this.times = [];
+    let t = 0;
+    timestamps.forEach((ts, i) => {
+      if (i > 0) {
+        const prev = timestamps[i - 1];
+        const dt = ts != null && prev != null ? ts - prev : NaN;
+        t += dt > 0 ? Math.min(dt, this.maxGap) : this.frameInterval;
+      }
+      this.times.push(t);
+    });
+    this.hasTimestamps = timestamps.length > 1 && timestamps.every((ts) => ts != null);
+    this.seek(Math.min(this.index, Math.max(0, this.times.length - 1)), false);
+  }
+
+  get duration() {
+    return this.times.length ? this.times[this.times.length - 1] : 0;
+  }
+
+  get state() {
+    return {
+      playing: this.playing,
+      speed: this.speed,
+      loop: this.loop,
+      index: this.index,
+      time: this.clock,
+      duration: this.duration,
+      hasTimestamps: this.hasTimestamps,
+    };
+  }
+
+  emit() {
+    this.onStateChange?.(this.state);
+  }
+
+  play() {
+    if (this.playing || this.times.length < 2) return;
+    // Restart from the top when play is pressed on the last frame
+    if (this.index >= this.times.length - 1) this.seek(0);
+    this.playing = true;
+    this.lastTick = null;
+    this.rafId = requestAnimationFrame(this.tick);
+    this.emit();
+  }
+
+  pause() {
+    if (!this.playing) return;
+    this.playing = false;
+    if (this.rafId) cancelAnimationFrame(this.rafId);
+    this.rafId = null;
+    this.emit();
+  }
+
+  toggle() {
+    if (this.playing) this.pause();
+    else this.play();
+  }
+
+  setSpeed(speed) {
+    this.speed = Math.min(PLAYBACK_SPEEDS[PLAYBACK_SPEEDS.length - 1], Math.max(PLAYBACK_SPEEDS[0], speed));
+    this.emit();
+  }
+
+  setLoop(loop) {
+    this.loop = Boolean(loop);
+    this.emit();
+  }
+
+  /**
+   * Jump to a frame (e.g. after manual navigation); notify=false only moves the clock
+   */
+  seek(index, notify = true) {
+    if (!this.times.length) return;
+    this.index = Math.min(Math.max(0, index), this.times.length - 1);
+    this.clock = this.times[this.index];
+    if (notify) this.onFrame?.(this.index);
+    this.emit();
+  }
+
+  // Arrow function – passed straight to requestAnimationFrame
+  tick = (now) => {
+    if (!this.playing) return;
+    const dt = this.lastTick == null ? 0 : Math.min((now - this.lastTick) / 1000, 0.25);
+    this.lastTick = now;
+    this.clock += dt * this.speed;
+
+    let next = this.index;
+    while (next < this.times.length - 1 && this.times[next + 1] <= this.clock) next++;
+
+    if (next !== this.index) {
+      this.index = next;
+      this.onFrame?.(next);
+      this.emit();
+    }
+
+    if (this.index >= this.times.length - 1) {
+      if (this.loop) {
+        this.seek(0);
+      } else {
+        this.pause();
+        return;
+      }
+    }
+    this.rafId = requestAnimationFrame(this.tick);
+  };
+
+  dispose() {
+    this.pause();
+    this.onFrame = null;
+    this.onStateChange = null;
+  }
+}
+
+export default PlaybackEngine;
@@ -1,6 +1,7 @@
 // store/syncStore.js
 import { create } from 'zustand';
 import { subscribeWithSelector } from 'zustand/middleware';
+import { withFailedImage } from '../utils/datasetLoader';
 
 // Deep equality checks (unchanged)
 const vectorEqual = (v1, v2, tolerance = 0.001) => {
@@ -164,16 +165,66 @@ export const useSyncStore = create(
       floorClickSeq: 0,
       frameIdx: 0,
 
+      datasetId: 'set5', // folder under /data/, or "local:<name>" for a capture opened from disk
+      datasetRevision: 0, // bumped on every setDatasetId – reopening a local capture reloads it
+      datasetStartIndex: 0, // frame the next loaded dataset opens at (site jumps)
+      localDatasets: [], // captures opened from disk (see utils/localDataset)
+      coordinateFrame: null, // loaded dataset's axis conventions (null → DEFAULT_FRAME)
+      datasetReport: null, // load report of the dataset (see utils/datasetLoader)
       pathPoints: [],
       currentPanoIndex: 0,
       calibration: null,
       panoJumpRequest: null,
+      calibPick: null, // { stage: 'pano' | 'forge', pano } while picking calibration pairs
+      orientation: null, // solved camera orientation offset (null → DEFAULT_ORIENTATION)
+      regression: null, // active profile's fitted position correction (null → none)
+      regressionCapture: null, // { samples, model } while recording regression samples – camera sync paused
+      orientationCapture: null, // { samples } while aligning views – camera sync paused
+      modelUnits: null, // { unit, scale, raw, known } of the loaded Forge model
+      boundary: null, // saved boundary of the loaded model (null → DEFAULT_BOUNDARY warnings, no camera clamp)
+      boundaryEditing: false,
+      playbackActive: false, // pano playback running – Forge follows, Forge → pano sync paused
+      captureLevels: null, // { source, levels, frameLevels } of the dataset (see utils/captureLevels)
+      revitLevels: [], // levels of the loaded model { index, name, elevation, top } (world meters)
+      levelMap: {}, // capture level id → Revit level name (manual overrides, saved per dataset)
+      levelSectioning: true, // cut away the model above the current level
+      site: { datasets: [] }, // sessions of the site workspace (see utils/siteWorkspace)
+      siteSessions: [], // loaded site sessions with their Forge positions
 
       // ===== CORE SETTERS =====
       setPathPoints: (points) => set({ pathPoints: points }),
+      setDatasetId: (id, startIndex = 0) =>
+        set((s) => ({
+          datasetId: id,
+          datasetRevision: s.datasetRevision + 1,
+          datasetStartIndex: startIndex,
+          coordinateFrame: null,
+          datasetReport: null,
+          captureLevels: null,
+        })),
+      addLocalDataset: (entry) =>
+        set((s) => ({ localDatasets: [...s.localDatasets.filter((d) => d.id !== entry.id), entry] })),
+      setDatasetReport: (report) => set({ datasetReport: report }),
+      addFailedImage: (imagePath) => set((s) => ({ datasetReport: withFailedImage(s.datasetReport, imagePath) })),
+      setCoordinateFrame: (frame) => set({ coordinateFrame: frame }),
       setCurrentPanoIndex: (idx) => set({ currentPanoIndex: idx }),
       setCalibration: (calib) => set({ calibration: calib }),
       setPanoJumpRequest: (fn) => set({ panoJumpRequest: fn }),
+      setCalibPick: (pick) => set({ calibPick: pick }),
+      setOrientation: (orientation) => set({ orientation }),
+      setOrientationCapture: (capture) => set({ orientationCapture: capture }),
+      setRegression: (regression) => set({ regression }),
+      setRegressionCapture: (capture) => set({ regressionCapture: capture }),
+      setModelUnits: (modelUnits) => set({ modelUnits }),
+      setBoundary: (boundary) => set({ boundary }),
+      setBoundaryEditing: (v) => set({ boundaryEditing: v }),
+      setPlaybackActive: (v) => set({ playbackActive: v }),
+      setCaptureLevels: (levels) => set({ captureLevels: levels }),
+      setRevitLevels: (levels) => set({ revitLevels: levels }),
+      setLevelMap: (levelMap) => set({ levelMap }),
+      setLevelSectioning: (v) => set({ levelSectioning: v }),
+      setSite: (site) => set({ site }),
+      setSiteSessions: (sessions) => set({ siteSessions: sessions }),
       setFrameIdx: (idx) => set({ frameIdx: idx }),
       setIsUserInitiated: (v) => set({ isUserInitiated: v }),
       setIsSyncing: (v) => set({ isSyncing: v }),
@@ -0,0 +1,280 @@
+// ============================================================================
+// AUTO ALIGN
+// Initial pano → Forge guess from shape alone: the walked path (pano frame)
+// is fitted inside the model's walkable footprints (rooms / floors). For a ladder
+// of scales and four principal-axis yaws a rigid 2D ICP pulls the path into
+// the area; the winner keeps the walk inside while covering the most floor
+// (nearest-point ICP alone would happily shrink the path). The proposal is
+// turned into suggested point pairs that the user confirms before
+// calculateCalibration refines them.
+// ============================================================================
+import { panoToSolverFrame } from './calibratePanoToForge';
+import { DEFAULT_FRAME } from './coordinateFrames';
+
+const MAX_PATH_POINTS = 300;
+const MAX_AREA_POINTS = 4000;
+const ICP_ITERATIONS = 20;
+const TRIM_RATIO = 0.8; // fraction of closest matches used per ICP step
+// Scale ladder around the principal-variance guess, then a local refinement
+const SCALE_FACTORS = [0.5, 0.6, 0.7, 0.8, 0.9, 1, 1.15, 1.3, 1.5, 1.75, 2];
+const REFINE_FACTORS = [0.94, 0.97, 1.03, 1.06];
+// Area samples within this many grid steps of the path count as covered
+const COVER_STEPS = 3;
+
+// ─────────────────────────────────────────────
+// Sampling
+
+const subsample = (pts, max) => {
+  if (pts.length <= max) return pts;
+  const step = pts.length / max;
+  return Array.from({ length: max }, (_, i) => pts[Math.floor(i * step)]);
+};
+
+const triangleArea = (t) => Math.abs((t[2] - t[0]) * (t[5] - t[1]) - (t[4] - t[0]) * (t[3] - t[1])) / 2;
+
+const regionArea = (r) =>
+  r.triangles?.length
+    ? r.triangles.reduce((a, t) => a + triangleArea(t), 0)
+    : (r.max[0] - r.min[0]) * (r.max[1] - r.min[1]);
+
+// Same side of all three edges (either winding)
+function inTriangle(t, x, y) {
+  const d1 = (x - t[2]) * (t[1] - t[3]) - (t[0] - t[2]) * (y - t[3]);
+  const d2 = (x - t[4]) * (t[3] - t[5]) - (t[2] - t[4]) * (y - t[5]);
+  const d3 = (x - t[0]) * (t[5] - t[1]) - (t[4] - t[0]) * (y - t[1]);
+  return !((d1 < 0 || d2 < 0 || d3 < 0) && (d1 > 0 || d2 > 0 || d3 > 0));
+}
+
+/**
+ * Grid samples inside walkable regions (meters). A region is its footprint
+ * triangles ([ax, ay, bx, by, cx, cy]) when it has them, else its
+ * { min: [x,y], max: [x,y] } box. One global grid, so touching or
+ * overlapping footprints share samples instead of doubling them.
+ */
+export function sampleRegions(regions, spacing = 0.5) {
+  const area = regions.reduce((a, r) => a + regionArea(r), 0);
+  // Coarsen the grid for big models so the matcher stays fast
+  const step = Math.max(spacing, Math.sqrt(area / MAX_AREA_POINTS));
+  const seen = new Set();
+  const pts = [];
+  const visitCells = (minX, minY, maxX, maxY, inside) => {
+    for (let i = Math.floor(minX / step); i * step <= maxX; i++) {
+      for (let j = Math.floor(minY / step); j * step <= maxY; j++) {
+        const x = (i + 0.5) * step, y = (j + 0.5) * step;
+        const key = `${i},${j}`;
+        if (seen.has(key) || !inside(x, y)) continue;
+        seen.add(key);
+        pts.push([x, y]);
+      }
+    }
+  };
+
+  regions.forEach(({ triangles, min, max }) => {
+    if (!triangles?.length) {
+      visitCells(min[0], min[1], max[0], max[1], (x, y) => x < max[0] && y < max[1] && x > min[0] && y > min[1]);
+      return;
+    }
+    triangles.forEach((t) => {
+      visitCells(
+        Math.min(t[0], t[2], t[4]), Math.min(t[1], t[3], t[5]),
+        Math.max(t[0], t[2], t[4]), Math.max(t[1], t[3], t[5]),
+        (x, y) => inTriangle(t, x, y)
+      );
+    });
+  });
+  return { points: pts, step };
+}
+
+// Uniform-grid nearest neighbour; searches at most maxRings rings of cells
+function buildGrid(points, cell, maxRings = 64) {
+  const key = (i, j) => i * 1e6 + j; // numeric keys – string keys are slow here
+  const cells = new Map();
+  points.forEach((p) => {
+    const k = key(Math.floor(p[0] / cell), Math.floor(p[1] / cell));
+    if (!cells.has(k)) cells.set(k, []);
+    cells.get(k).push(p);
+  });
+
+  return (q) => {
+    const cx = Math.floor(q[0] / cell), cy = Math.floor(q[1] / cell);
+    let best = null, bestD = Infinity;
+    const visit = (i, j) => {
+      const bucket = cells.get(key(i, j));
+      if (!bucket) return;
+      for (const p of bucket) {
+        const d = (p[0] - q[0]) ** 2 + (p[1] - q[1]) ** 2;
+        if (d < bestD) { bestD = d; best = p; }
+      }
+    };
+    for (let r = 0; r <= maxRings; r++) {
+      if (r === 0) visit(cx, cy);
+      for (let d = -r; d < r; d++) {
+        // walk the ring's four sides once each
+        visit(cx + d, cy - r);
+        visit(cx + r, cy + d);
+        visit(cx - d, cy + r);
+        visit(cx - r, cy - d);
+      }
+      // Anything in a further ring is at least r·cell away
+      if (best && Math.sqrt(bestD) <= r * cell) break;
+    }
+    return { point: best, distance: Math.sqrt(bestD) };
+  };
+}
+
+// ─────────────────────────────────────────────
+// 2D similarity helpers
+
+const mean2 = (pts) => pts.reduce((a, p) => [a[0] + p[0], a[1] + p[1]], [0, 0]).map((v) => v / pts.length);
+
+// Principal axis angle + total variance
+function principal(pts) {
+  const [mx, my] = mean2(pts);
+  let sxx = 0, syy = 0, sxy = 0;
+  pts.forEach(([x, y]) => {
+    sxx += (x - mx) ** 2;
+    syy += (y - my) ** 2;
+    sxy += (x - mx) * (y - my);
+  });
+  return { center: [mx, my], angle: 0.5 * Math.atan2(2 * sxy, sxx - syy), variance: (sxx + syy) / pts.length };
+}
+
+const apply2 = ({ scale, yaw, translation }, [x, y]) => {
+  const c = Math.cos(yaw), s = Math.sin(yaw);
+  return [scale * (c * x - s * y) + translation[0], scale * (s * x + c * y) + translation[1]];
+};
+
+// Closed-form 2D rotation + translation source → target at a fixed scale
+function fitRigid2(src, tgt, scale) {
+  const cs = mean2(src), ct = mean2(tgt);
+  let dot = 0, cross = 0;
+  src.forEach((p, i) => {
+    const a = [p[0] - cs[0], p[1] - cs[1]];
+    const b = [tgt[i][0] - ct[0], tgt[i][1] - ct[1]];
+    dot += a[0] * b[0] + a[1] * b[1];
+    cross += a[0] * b[1] - a[1] * b[0];
+  });
+  const yaw = Math.atan2(cross, dot);
+  const c = Math.cos(yaw), s = Math.sin(yaw);
+  return {
+    scale,
+    yaw,
+    translation: [ct[0] - scale * (c * cs[0] - s * cs[1]), ct[1] - scale * (s * cs[0] + c * cs[1])],
+  };
+}
+
+function icp(path, nearest, start, tolerance) {
+  let t = start;
+  let score = Infinity, inside = 0;
+  for (let it = 0; it < ICP_ITERATIONS; it++) {
+    const matches = path
+      .map((p) => ({ p, ...nearest(apply2(t, p)) }))
+      .sort((a, b) => a.distance - b.distance);
+    const kept = matches.slice(0, Math.max(3, Math.floor(matches.length * TRIM_RATIO)));
+
+    score = kept.reduce((a, m) => a + m.distance, 0) / kept.length;
+    inside = matches.filter((m) => m.distance <= tolerance).length / matches.length;
+
+    const next = fitRigid2(kept.map((m) => m.p), kept.map((m) => m.point), t.scale);
+    const moved = Math.abs(next.yaw - t.yaw) +
+      Math.hypot(next.translation[0] - t.translation[0], next.translation[1] - t.translation[1]);
+    t = next;
+    if (moved < 1e-4) break;
+  }
+  return { ...t, score, inside };
+}
+
+// Fraction of area samples near the placed path
+function coverage(path, area, t, radius) {
+  const placed = buildGrid(path.map((p) => apply2(t, p)), radius, 1);
+  return area.filter((a) => placed(a).distance <= radius).length / area.length;
+}
+
+/**
+ * Propose a planar pano → Forge alignment.
+ * panoPath: [[x,y,z], ...] dataset-frame positions (filtered path)
+ * regions:  [{ triangles?, min: [x,y], max: [x,y], z }] walkable footprints in Forge meters
+ *           (see getWalkableRegions)
+ * frame:    the dataset's coordinate frame
+ * Returns { scale, yaw, translation: [x,y], floorZ, score, inside, frame }
+ */
+export function proposeAlignment(panoPath, regions, frame = DEFAULT_FRAME) {
+  if (panoPath.length < 3) throw new Error('The pano path is too short to align');
+  if (!regions.length) throw new Error('No walkable regions found in the model');
+
+  const path = subsample(panoPath.map((p) => panoToSolverFrame(p, frame).slice(0, 2)), MAX_PATH_POINTS);
+  const { points: area, step } = sampleRegions(regions);
+  const nearest = buildGrid(area, step * 2);
+
+  const pp = principal(path);
+  const pa = principal(area);
+  // Path covers only part of the floor → its spread underestimates scale
+  const baseScale = Math.sqrt(pa.variance / Math.max(pp.variance, 1e-9));
+
+  const tryStart = (start) => {
+    const result = icp(path, nearest, start, step);
+    // Stay inside the building, then cover as much of it as possible
+    const cost = 2 * (1 - result.inside) - coverage(path, area, result, step * COVER_STEPS);
+    return { ...result, cost };
+  };
+
+  let best = null;
+  for (const factor of SCALE_FACTORS) {
+    for (let k = 0; k < 4; k++) {
+      const scale = baseScale * factor;
+      const yaw = pa.angle - pp.angle + (k * Math.PI) / 2;
+      const rotated = apply2({ scale, yaw, translation: [0, 0] }, pp.center);
+      const result = tryStart({ scale, yaw, translation: [pa.center[0] - rotated[0], pa.center[1] - rotated[1]] });
+      if (!best || result.cost < best.cost) best = result;
+    }
+  }
+
+  // Finer scale steps around the winner (kept about the same path centre)
+  const winner = best;
+  for (const factor of REFINE_FACTORS) {
+    const scale = winner.scale * factor;
+    const anchor = apply2(winner, pp.center);
+    const rotated = apply2({ scale, yaw: winner.yaw, translation: [0, 0] }, pp.center);
+    const result = tryStart({ scale, yaw: winner.yaw, translation: [anchor[0] - rotated[0], anchor[1] - rotated[1]] });
+    if (result.cost < best.cost) best = result;
+  }
+
+  const floorZ = Math.min(...regions.map((r) => r.z ?? 0));
+  return {
+    scale: best.scale,
+    yaw: best.yaw,
+    translation: best.translation,
+    floorZ,
+    score: best.score,
+    inside: best.inside,
+    frame,
+  };
+}
+
+/**
+ * Apply a proposal to a dataset-frame pano point → [x, y, z] Forge meters
+ */
+export function applyProposal(proposal, panoPoint) {
+  const [x, y] = apply2(proposal, panoToSolverFrame(panoPoint, proposal.frame).slice(0, 2));
+  return [x, y, proposal.floorZ];
+}
+
+/**
+ * Pick `count` well-spread path frames (farthest-point sampling)
+ */
+export function spreadFrames(panoPath, count = 4, frame = DEFAULT_FRAME) {
+  if (!panoPath.length) return [];
+  // Horizontal spread only
+  const flat = panoPath.map((p) => panoToSolverFrame(p, frame).slice(0, 2));
+  const picked = [0];
+  const dist = flat.map((p) => Math.hypot(p[0] - flat[0][0], p[1] - flat[0][1]));
+  while (picked.length < Math.min(count, flat.length)) {
+    let idx = 0;
+    dist.forEach((d, i) => { if (d > dist[idx]) idx = i; });
+    picked.push(idx);
+    flat.forEach((p, i) => {
+      dist[i] = Math.min(dist[i], Math.hypot(p[0] - flat[idx][0], p[1] - flat[idx][1]));
+    });
+  }
+  return picked.sort((a, b) => a - b);
+}
@@ -1,219 +1,170 @@
-import numeric from 'numeric';
-import { Matrix, SVD } from 'ml-matrix';
-
-// Model boundary in meters
-const Boundary = [
-  [24, 38],
-  [19, 38],
-  [13, 33],
-  [12, 12],
-  [24, 12]
-];
-
-// ✅ 2D Point-in-polygon helper (ray casting)
-function isPointInPolygon(point, polygon) {
-  const [x, y] = point;
-  let inside = false;
-  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-    const xi = polygon[i][0], yi = polygon[i][1];
-    const xj = polygon[j][0], yj = polygon[j][1];
-    const intersect = ((yi > y) !== (yj > y)) &&
-      (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
-    if (intersect) inside = !inside;
-  }
-  return inside;
-}
-
-// ✅ FIXED: Calculate calibration with corrected rotation extraction
-export function calculateCalibration(panoRefs, revitRefs) {
+import {
+  DEFAULT_MODEL,
+  applyTransform,
+  invertTransform,
+  solveTransform,
+} from './calibrationEngine';
+import { assessCalibration } from './calibrationQuality';
+import { buildCorrectionField, correctionAt } from './driftCorrection';
+import { PANO_UNITS, convertPoint, toMeters } from './units';
+import { DEFAULT_FRAME, datasetToWorld, worldToDataset } from './coordinateFrames';
+import { DEFAULT_BOUNDARY, normalizeBoundary, pointInBoundary } from './modelBoundary';
+
+// ✅ Pano dataset frame ↔ right-handed Z-up frame the engine solves in (per-dataset definition)
+export const panoToSolverFrame = (p, frame = DEFAULT_FRAME) => datasetToWorld(p, frame);
+export const solverFrameToPano = (w, frame = DEFAULT_FRAME) => worldToDataset(w, frame);
+
+// ✅ Console report of a solved calibration
+function logCalibration(panoRefs, revitRefs, result) {
   const n = panoRefs.length;
 
   console.log('[CALIB] =====================================');
   console.log('[CALIB] Input pano refs:', panoRefs);
-  console.log('[CALIB] Input revit refs:', revitRefs);
-
-  // ✅ Flip X-axis for pano points
-  const panoRefsFlipped = panoRefs.map(p => [-p[0], p[1], p[2]]);
-  console.log('[CALIB] Flipped pano refs:', panoRefsFlipped);
+  console.log('[CALIB] Input revit refs (m):', revitRefs);
 
-  // Calculate centroids
-  const panoCentroid = panoRefsFlipped.reduce(
-    (acc, p) => acc.map((v, i) => v + p[i]),
-    [0, 0, 0]
-  ).map(v => v / n);
-  
-  const revitCentroid = revitRefs.reduce(
-    (acc, p) => acc.map((v, i) => v + p[i]),
-    [0, 0, 0]
-  ).map(v => v / n);
+  const { scale, rotation, translation, errors, quality } = result;
 
-  console.log('[CALIB] Pano centroid:', panoCentroid);
-  console.log('[CALIB] Revit centroid:', revitCentroid);
-
-  // Center points around centroids
-  const panoCentered = panoRefsFlipped.map(p => p.map((v, i) => v - panoCentroid[i]));
-  const revitCentered = revitRefs.map(p => p.map((v, i) => v - revitCentroid[i]));
-
-  // ✅ RMS-based scale calculation (most accurate)
-  const panoRMS = Math.sqrt(
-    panoCentered.reduce((sum, p) => sum + p[0]*p[0] + p[1]*p[1] + p[2]*p[2], 0) / n
-  );
-  const revitRMS = Math.sqrt(
-    revitCentered.reduce((sum, p) => sum + p[0]*p[0] + p[1]*p[1] + p[2]*p[2], 0) / n
-  );
-  const scale = revitRMS / panoRMS;
-
-  console.log('[CALIB] Pano RMS:', panoRMS.toFixed(4));
-  console.log('[CALIB] Revit RMS:', revitRMS.toFixed(4));
+  console.log('[CALIB] Model:', result.model);
+  if (result.robust) console.log('[CALIB] Robust mode – threshold:', result.threshold, 'm');
   console.log('[CALIB] Scale factor:', scale.toFixed(8));
-
-  // Calculate covariance matrix H
-  const H = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
-  for (let i = 0; i < n; i++) {
-    for (let row = 0; row < 3; row++) {
-      for (let col = 0; col < 3; col++) {
-        H[row][col] += panoCentered[i][col] * revitCentered[i][row];
-      }
-    }
-  }
-
-  console.log('[CALIB] Covariance matrix H:');
-  H.forEach(row => console.log('  ', row.map(v => v.toFixed(6))));
-
-  // SVD
-  const hMatrix = new Matrix(H);
-const svd = new SVD(hMatrix);
-const U = svd.leftSingularVectors;
-const V = svd.rightSingularVectors;
-
-let rotationMatrix = V.mmul(U.transpose());
-
-// ✅ FIX: Transpose the matrix when extracting
-let rotation = rotationMatrix.transpose().to2DArray();
-
-// Ensure proper rotation (determinant=1)
-const det = numeric.det(rotation);
-console.log('[CALIB] Rotation determinant:', det.toFixed(6));
-
-if (det < 0) {
-  console.log('[CALIB] Correcting rotation (det < 0)');
-  V.setColumn(2, V.getColumn(2).map(x => -x));
-  rotationMatrix = V.mmul(U.transpose());
-  rotation = rotationMatrix.transpose().to2DArray();  // ✅ Also transpose here
-}
-
-  console.log('[CALIB] Rotation matrix:');
+  console.log('[CALIB] Rotation matrix (solver frame):');
   rotation.forEach(row => console.log('  ', row.map(v => v.toFixed(8))));
-
-  // Calculate translation
-  const translation = [
-    revitCentroid[0] - scale * (rotation[0][0]*panoCentroid[0] + rotation[0][1]*panoCentroid[1] + rotation[0][2]*panoCentroid[2]),
-    revitCentroid[1] - scale * (rotation[1][0]*panoCentroid[0] + rotation[1][1]*panoCentroid[1] + rotation[1][2]*panoCentroid[2]),
-    revitCentroid[2] - scale * (rotation[2][0]*panoCentroid[0] + rotation[2][1]*panoCentroid[1] + rotation[2][2]*panoCentroid[2])
-  ];
-
   console.log('[CALIB] Translation:', translation.map(t => t.toFixed(6)));
+  if (result.model === 'planar') {
+    console.log('[CALIB] Yaw:', (result.yaw * 180 / Math.PI).toFixed(4), '°');
+    console.log('[CALIB] Height offset:', result.heightOffset.toFixed(4), 'm');
+  }
 
-  // Calculate errors
-  const errors = [];
   console.log('[CALIB] Point-by-point verification:');
-  
   for (let i = 0; i < n; i++) {
-    const transformed = [
-      scale * (rotation[0][0]*panoRefsFlipped[i][0] + rotation[0][1]*panoRefsFlipped[i][1] + rotation[0][2]*panoRefsFlipped[i][2]) + translation[0],
-      scale * (rotation[1][0]*panoRefsFlipped[i][0] + rotation[1][1]*panoRefsFlipped[i][1] + rotation[1][2]*panoRefsFlipped[i][2]) + translation[1],
-      scale * (rotation[2][0]*panoRefsFlipped[i][0] + rotation[2][1]*panoRefsFlipped[i][1] + rotation[2][2]*panoRefsFlipped[i][2]) + translation[2]
-    ];
-    
-    const error = Math.sqrt(
-      (revitRefs[i][0] - transformed[0])**2 +
-      (revitRefs[i][1] - transformed[1])**2 +
-      (revitRefs[i][2] - transformed[2])**2
-    );
-    
-    console.log(`[CALIB] Point ${i}:`);
+    const flag = result.outliers.includes(i) ? ' (OUTLIER)' : '';
+    console.log(`[CALIB] Point ${i}${flag}:`);
     console.log(`  Pano (original): [${panoRefs[i].map(v => v.toFixed(4)).join(', ')}]`);
     console.log(`  Revit (expected): [${revitRefs[i].join(', ')}]`);
-    console.log(`  Transformed: [${transformed.map(v => v.toFixed(4)).join(', ')}]`);
-    console.log(`  Error: ${error.toFixed(4)}m`);
-    
-    errors.push(error);
+    console.log(`  Error: ${errors[i].toFixed(4)}m`);
+    if (quality.looErrors[i] !== null) {
+      console.log(`  Leave-one-out error: ${quality.looErrors[i].toFixed(4)}m`);
+    }
   }
 
-  const maxError = Math.max(...errors);
-  const meanError = errors.reduce((a, b) => a + b, 0) / n;
-
   console.log('[CALIB] =====================================');
-  console.log('[CALIB] Max error:', maxError.toFixed(4), 'm');
-  console.log('[CALIB] Mean error:', meanError.toFixed(4), 'm');
+  if (result.outliers.length) {
+    console.log('[CALIB] Rejected pairs:', result.outliers);
+  }
+  console.log('[CALIB] Max error:', result.maxError.toFixed(4), 'm');
+  console.log('[CALIB] Mean error:', result.meanError.toFixed(4), 'm');
+  if (quality.looMean !== null) {
+    console.log('[CALIB] Leave-one-out mean / max:', quality.looMean.toFixed(4), '/', quality.looMax.toFixed(4), 'm');
+  }
+  console.log('[CALIB] Geometry condition:', quality.geometry.condition.toFixed(2));
+  console.log('[CALIB] Quality grade:', quality.grade);
+  quality.warnings.forEach(w => console.warn('[CALIB] ⚠️', w));
   console.log('[CALIB] =====================================\n');
+}
+
+// ✅ Blank / missing height offset → solved from the pairs (planar model)
+function parseHeightOffset(value, unit) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = parseFloat(value);
+  return isFinite(n) ? toMeters(n, unit) : null;
+}
+
+// ✅ Solve pano → Revit with the selected engine model (similarity by default).
+// revitRefs / heightOffset are in options.revitUnit (meters by default); the
+// solved calibration always maps pano meters → Forge meters. The dataset's
+// coordinate frame (options.frame) is kept on the result for later conversions.
+export function calculateCalibration(panoRefs, revitRefs, options = {}) {
+  const revitUnit = options.revitUnit || 'm';
+  const frame = options.frame || DEFAULT_FRAME;
+  const source = panoRefs.map(p => panoToSolverFrame(p, frame));
+  const target = revitRefs.map(p => convertPoint(p, revitUnit, 'm'));
+  const heightOffset = parseHeightOffset(options.heightOffset, revitUnit);
+  const result = solveTransform(source, target, {
+    model: options.model || DEFAULT_MODEL,
+    robust: !!options.robust,
+    threshold: options.threshold,
+    maxIterations: options.maxIterations,
+    heightOffset,
+  });
+  result.quality = assessCalibration(source, target, result, { heightOffset });
+  result.units = { pano: PANO_UNITS, forge: 'm', revitInput: revitUnit };
+  result.frame = frame;
 
+  if (!options.silent) logCalibration(panoRefs, target, result);
+
+  return result;
+}
+
+// ✅ Attach drift-correction anchors ({ frameIndex, pano, forge }) to a solved calibration;
+// framePoints (the capture's frame positions) let frames be corrected along the path
+export function withDriftCorrection(calibration, anchors, framePoints) {
+  const globalPanoToForge = (p) => applyTransform(calibration, panoToSolverFrame(p, calibration.frame));
   return {
-    scale,
-    rotation,
-    rotationMatrix,
-    translation,
-    maxError,
-    meanError
+    ...calibration,
+    anchors: anchors ?? [],
+    correction: buildCorrectionField(anchors, globalPanoToForge, framePoints),
   };
 }
 
-// ✅ Convert panorama point to forge with X-flip
-export function panoToForge(panoPoint, calibration) {
-  const { scale, rotation, translation } = calibration;
-  
-  // Flip X-axis
-  const flippedPoint = [-panoPoint[0], panoPoint[1], panoPoint[2]];
-  
-  const rotated = numeric.dot(rotation, flippedPoint);
-  const scaled = numeric.mul(scale, rotated);
-  return numeric.add(scaled, translation);
+// Fixed-point steps for inverting the drift correction
+const DRIFT_INVERSE_ITERATIONS = 5;
+
+// ✅ Convert panorama point (meters) to forge (global transform + drift correction), returned in `unit`
+export function panoToForge(panoPoint, calibration, unit = 'm') {
+  let forge = applyTransform(calibration, panoToSolverFrame(panoPoint, calibration.frame));
+  if (calibration.correction) {
+    const c = correctionAt(calibration.correction, panoPoint);
+    forge = [forge[0] + c[0], forge[1] + c[1], forge[2] + c[2]];
+  }
+  return convertPoint(forge, 'm', unit);
 }
 
-// ✅ Convert forge point to panorama with X-flip
-export function forgeToPano(forgePoint, calibration) {
-  const { scale, rotationMatrix, translation } = calibration;
-  
-  const forgeVec = Matrix.columnVector(forgePoint)
-    .sub(Matrix.columnVector(translation));
-  
-  const panoVec = rotationMatrix.transpose()
-    .mmul(forgeVec)
-    .mul(1 / scale);
-  
-  const panoArr = panoVec.to1DArray();
-  
-  // Flip X-axis back
-  panoArr[0] = -panoArr[0];
-  
-  return panoArr;
+// ✅ Convert forge point (given in `unit`) to panorama meters
+export function forgeToPano(forgePointInUnit, calibration, unit = 'm') {
+  const forgePoint = convertPoint(forgePointInUnit, unit, 'm');
+  const global = (f) => solverFrameToPano(invertTransform(calibration, f), calibration.frame);
+  if (!calibration.correction) return global(forgePoint);
+
+  // The correction depends on the pano point we are solving for → iterate
+  let pano = global(forgePoint);
+  for (let i = 0; i < DRIFT_INVERSE_ITERATIONS; i++) {
+    const c = correctionAt(calibration.correction, pano);
+    pano = global([forgePoint[0] - c[0], forgePoint[1] - c[1], forgePoint[2] - c[2]]);
+  }
+  return pano;
+}
+
+// ✅ Indices of pano points that land outside the model boundary (polygons + holes)
+export function pointsOutsideBoundary(panoPoints, calibration, boundary = DEFAULT_BOUNDARY) {
+  const b = normalizeBoundary(boundary);
+  if (!b) return [];
+  return panoPoints.reduce((out, p, i) => {
+    const [x, y] = panoToForge(p, calibration);
+    if (!pointInBoundary(b, [x, y])) out.push(i);
+    return out;
+  }, []);
 }
 
 // ✅ Main calibration and transformation workflow
 export function calibrateDataset({
   panoRefs,
   revitRefs,
-  modelBoundary = Boundary,
-  datasetPoints
+  modelBoundary = DEFAULT_BOUNDARY,
+  datasetPoints,
+  ...options
 }) {
-  const calibration = calculateCalibration(panoRefs, revitRefs);
-  
-  const forgePoints = datasetPoints.map(panoPt => {
-    const forgePt = panoToForge(panoPt, calibration);
-    
-    // Optional: check point inside boundary polygon (2D xy)
-    const insideBoundary = isPointInPolygon([forgePt[0], forgePt[1]], modelBoundary);
-    if (!insideBoundary) {
-      console.warn(`⚠️  Point [${forgePt[0].toFixed(2)}, ${forgePt[1].toFixed(2)}, ${forgePt[2].toFixed(2)}] outside model boundary`);
-    }
-    
-    return forgePt;
+  const calibration = calculateCalibration(panoRefs, revitRefs, options);
+  const forgePoints = datasetPoints.map(panoPt => panoToForge(panoPt, calibration));
+
+  // Optional: check points inside the boundary (2D xy)
+  const outside = pointsOutsideBoundary(datasetPoints, calibration, modelBoundary);
+  outside.forEach(i => {
+    const [x, y, z] = forgePoints[i];
+    console.warn(`⚠️  Point [${x.toFixed(2)}, ${y.toFixed(2)}, ${z.toFixed(2)}] outside model boundary`);
   });
-  
-  return { calibration, forgePoints };
-}
 
-export { Boundary };
+  return { calibration, forgePoints, outside };
+}
 
 // Test with your data
 // const result = calibrateDataset({
@@ -0,0 +1,288 @@
+import { Matrix, SVD, inverse, solve } from 'ml-matrix';
+
+// ============================================================================
+// CALIBRATION ENGINE
+// One solver for every source → target point mapping in the app.
+// Points are [x, y, z] arrays; the planar model treats index 2 as "up".
+// Every model returns the same shape:
+//   { model, scale, rotation, matrix, inverse, translation,
+//     errors, inliers, outliers, meanError, maxError, robust, threshold }
+// and is applied with applyTransform / invertTransform (target = matrix·p + t).
+// ============================================================================
+
+export const CALIBRATION_MODELS = {
+  rigid:      { label: 'Rigid (no scale)',                minPairs: 3 },
+  similarity: { label: 'Similarity',                      minPairs: 3 },
+  planar:     { label: 'Floor plane (yaw + XY + height)', minPairs: 2 },
+  affine:     { label: 'Full affine',                     minPairs: 4 },
+};
+
+export const DEFAULT_MODEL = 'similarity';
+
+// ─────────────────────────────────────────────
+// Small vector / matrix helpers
+const centroid = (pts) =>
+  pts.reduce((acc, p) => acc.map((v, i) => v + p[i]), [0, 0, 0]).map(v => v / pts.length);
+
+const sub = (a, b) => a.map((v, i) => v - b[i]);
+
+const matVec = (M, p) => [
+  M[0][0]*p[0] + M[0][1]*p[1] + M[0][2]*p[2],
+  M[1][0]*p[0] + M[1][1]*p[1] + M[1][2]*p[2],
+  M[2][0]*p[0] + M[2][1]*p[1] + M[2][2]*p[2],
+];
+
+const det3 = (M) =>
+  M[0][0] * (M[1][1]*M[2][2] - M[1][2]*M[2][1]) -
+  M[0][1] * (M[1][0]*M[2][2] - M[1][2]*M[2][0]) +
+  M[0][2] * (M[1][0]*M[2][1] - M[1][1]*M[2][0]);
+
+// Least-squares scale for a fixed rotation over centred points (Umeyama)
+function umeyamaScale(srcC, tgtC, rotation) {
+  let num = 0, den = 0;
+  for (let i = 0; i < srcC.length; i++) {
+    const r = matVec(rotation, srcC[i]);
+    num += tgtC[i][0] * r[0] + tgtC[i][1] * r[1] + tgtC[i][2] * r[2];
+    den += srcC[i][0] * srcC[i][0] + srcC[i][1] * srcC[i][1] + srcC[i][2] * srcC[i][2];
+  }
+  return num / den;
+}
+
+// Closest proper rotation to H = Σ target·sourceᵀ (Kabsch)
+function properRotation(H) {
+  const svd = new SVD(new Matrix(H));
+  const U = svd.leftSingularVectors;
+  const V = svd.rightSingularVectors;
+  let R = U.mmul(V.transpose());
+  if (det3(R.to2DArray()) < 0) {
+    U.setColumn(2, U.getColumn(2).map(x => -x));
+    R = U.mmul(V.transpose());
+  }
+  return R.to2DArray();
+}
+
+function covariance(srcC, tgtC) {
+  const H = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  for (let i = 0; i < srcC.length; i++)
+    for (let r = 0; r < 3; r++)
+      for (let c = 0; c < 3; c++) H[r][c] += tgtC[i][r] * srcC[i][c];
+  return H;
+}
+
+// ─────────────────────────────────────────────
+// Model fits – each returns { scale, rotation, matrix, translation }
+function fitRotational(source, target, withScale) {
+  const cs = centroid(source);
+  const ct = centroid(target);
+  const srcC = source.map(p => sub(p, cs));
+  const tgtC = target.map(p => sub(p, ct));
+
+  const rotation = properRotation(covariance(srcC, tgtC));
+  // Least-squares (Umeyama) scale: Σ tgtᵢ·R·srcᵢ / Σ|srcᵢ|²
+  const scale = withScale ? umeyamaScale(srcC, tgtC, rotation) : 1;
+  const matrix = rotation.map(row => row.map(v => v * scale));
+
+  return { scale, rotation, matrix, translation: sub(ct, matVec(matrix, cs)) };
+}
+
+// Level captures: yaw, horizontal translation and scale only. Height is a
+// constant offset – fixed by the caller, or the mean Z difference of the pairs.
+function fitPlanar(source, target, heightOffset = null) {
+  const cs = centroid(source);
+  const ct = centroid(target);
+  const srcC = source.map(p => sub(p, cs));
+  const tgtC = target.map(p => sub(p, ct));
+
+  // Closed-form 2D Procrustes about the up (Z) axis
+  let dot = 0, cross = 0;
+  for (let i = 0; i < srcC.length; i++) {
+    dot   += srcC[i][0] * tgtC[i][0] + srcC[i][1] * tgtC[i][1];
+    cross += srcC[i][0] * tgtC[i][1] - srcC[i][1] * tgtC[i][0];
+  }
+  const yaw = Math.atan2(cross, dot);
+  // Least-squares scale in the plane: |Σ dot, Σ cross| / Σ|srcᵢ|²
+  const srcSq = srcC.reduce((sum, p) => sum + p[0] * p[0] + p[1] * p[1], 0);
+  const scale = Math.hypot(dot, cross) / srcSq;
+  const c = Math.cos(yaw), s = Math.sin(yaw);
+
+  const rotation = [[c, -s, 0], [s, c, 0], [0, 0, 1]];
+  // Height passes through unscaled
+  const matrix = [[scale * c, -scale * s, 0], [scale * s, scale * c, 0], [0, 0, 1]];
+  const m = matVec(matrix, cs);
+  const dz = Number.isFinite(heightOffset) ? heightOffset : ct[2] - cs[2];
+
+  return { scale, rotation, matrix, translation: [ct[0] - m[0], ct[1] - m[1], dz], yaw, heightOffset: dz };
+}
+
+function fitAffine(source, target) {
+  const X = new Matrix(source.map(p => [p[0], p[1], p[2], 1]));
+  const Y = new Matrix(target);
+  const B = solve(X, Y, true).to2DArray(); // 4×3, least squares
+
+  const matrix = [0, 1, 2].map(r => [B[0][r], B[1][r], B[2][r]]);
+  const translation = [B[3][0], B[3][1], B[3][2]];
+
+  return {
+    scale: Math.cbrt(Math.abs(det3(matrix))),
+    rotation: properRotation(matrix), // rotational part (polar decomposition)
+    matrix,
+    translation,
+  };
+}
+
+function fitModel(source, target, model, heightOffset) {
+  switch (model) {
+    case 'rigid':      return fitRotational(source, target, false);
+    case 'similarity': return fitRotational(source, target, true);
+    case 'planar':     return fitPlanar(source, target, heightOffset);
+    case 'affine':     return fitAffine(source, target);
+    default: throw new Error(`Unknown calibration model "${model}"`);
+  }
+}
+
+/**
+ * Best rotation taking source directions onto target directions (Wahba).
+ * Unlike the point fits nothing is centred – inputs are unit vectors.
+ */
+export function solveRotation(sourceDirs, targetDirs) {
+  return properRotation(covariance(sourceDirs, targetDirs));
+}
+
+// ─────────────────────────────────────────────
+// Apply / invert
+export function applyTransform(transform, point) {
+  const m = matVec(transform.matrix, point);
+  return [m[0] + transform.translation[0], m[1] + transform.translation[1], m[2] + transform.translation[2]];
+}
+
+export function invertTransform(transform, point) {
+  const inv = transform.inverse || inverse(new Matrix(transform.matrix)).to2DArray();
+  return matVec(inv, sub(point, transform.translation));
+}
+
+export function transformErrors(transform, source, target) {
+  return source.map((p, i) => {
+    const t = applyTransform(transform, p);
+    return Math.hypot(target[i][0] - t[0], target[i][1] - t[1], target[i][2] - t[2]);
+  });
+}
+
+// ─────────────────────────────────────────────
+// RANSAC support
+function isDegenerate(points, model) {
+  const [a, b, c, d] = points;
+  if (model === 'planar' && points.length === 2) {
+    return Math.hypot(b[0] - a[0], b[1] - a[1]) < 1e-3;
+  }
+  const u = sub(b, a), v = sub(c, a);
+  const n = [u[1]*v[2] - u[2]*v[1], u[2]*v[0] - u[0]*v[2], u[0]*v[1] - u[1]*v[0]];
+  if (points.length === 3) return Math.hypot(...n) < 1e-6;
+  // 4 points (affine): tetrahedron volume
+  const w = sub(d, a);
+  return Math.abs(n[0]*w[0] + n[1]*w[1] + n[2]*w[2]) < 1e-6;
+}
+
+function combinations(n, k) {
+  const out = [];
+  const walk = (start, acc) => {
+    if (acc.length === k) { out.push(acc.slice()); return; }
+    for (let i = start; i < n; i++) { acc.push(i); walk(i + 1, acc); acc.pop(); }
+  };
+  walk(0, []);
+  return out;
+}
+
+// Every k-subset when there are few, random draws otherwise
+function sampleSets(n, k, maxIterations) {
+  const all = combinations(n, k);
+  if (all.length <= maxIterations) return all;
+  return Array.from({ length: maxIterations }, () => all[Math.floor(Math.random() * all.length)]);
+}
+
+function finish(fit, model, source, target, inliers, extra) {
+  const errors = transformErrors(fit, source, target);
+  const inlierErrors = inliers.map(i => errors[i]);
+  return {
+    model,
+    ...fit,
+    inverse: inverse(new Matrix(fit.matrix)).to2DArray(),
+    errors,
+    inliers,
+    outliers: errors.map((_, i) => i).filter(i => !inliers.includes(i)),
+    meanError: inlierErrors.reduce((a, b) => a + b, 0) / inlierErrors.length,
+    maxError: Math.max(...inlierErrors),
+    ...extra,
+  };
+}
+
+/**
+ * Fit source → target with the chosen model.
+ * robust: RANSAC over minimal samples, then refit on the consensus set.
+ * heightOffset (planar only): fixed Z offset; null solves it from the pairs.
+ */
+export function solveTransform(source, target, {
+  model = DEFAULT_MODEL,
+  robust = false,
+  threshold = 0.5,
+  maxIterations = 200,
+  refineIterations = 5,
+  heightOffset = null,
+} = {}) {
+  const spec = CALIBRATION_MODELS[model];
+  if (!spec) throw new Error(`Unknown calibration model "${model}"`);
+
+  const n = source.length;
+  if (n !== target.length) throw new Error('Source and target point counts differ');
+  if (n < spec.minPairs) throw new Error(`${spec.label} needs at least ${spec.minPairs} point pairs`);
+
+  const allIdx = source.map((_, i) => i);
+  const pick = (idx, arr) => idx.map(i => arr[i]);
+  const fit = (src, tgt) => fitModel(src, tgt, model, heightOffset);
+
+  // Nothing to vote against with a minimal set
+  if (!robust || n <= spec.minPairs) {
+    return finish(fit(source, target), model, source, target, allIdx, { robust, threshold });
+  }
+
+  let best = null;
+  for (const sample of sampleSets(n, spec.minPairs, maxIterations)) {
+    const src = pick(sample, source);
+    const tgt = pick(sample, target);
+    if (isDegenerate(src, model) || isDegenerate(tgt, model)) continue;
+
+    let candidate;
+    try {
+      candidate = fit(src, tgt);
+    } catch {
+      continue;
+    }
+    if (!isFinite(candidate.scale) || candidate.scale === 0) continue;
+
+    const errors = transformErrors(candidate, source, target);
+    const inliers = allIdx.filter(i => errors[i] < threshold);
+    // MSAC-style cost: inliers score by residual, outliers pay the threshold
+    const cost = errors.reduce((sum, e) => sum + Math.min(e, threshold), 0);
+
+    if (!best || inliers.length > best.inliers.length ||
+        (inliers.length === best.inliers.length && cost < best.cost)) {
+      best = { inliers, cost };
+    }
+  }
+
+  if (!best || best.inliers.length < spec.minPairs) {
+    console.warn('[CALIB] RANSAC found no consensus – using all pairs');
+    return finish(fit(source, target), model, source, target, allIdx, { robust, threshold });
+  }
+
+  // Refit on the consensus set until the inlier set stops changing
+  let inliers = best.inliers;
+  for (let it = 0; it < refineIterations; it++) {
+    const refined = fit(pick(inliers, source), pick(inliers, target));
+    const errors = transformErrors(refined, source, target);
+    const next = allIdx.filter(i => errors[i] < threshold);
+    if (next.length < spec.minPairs || next.join() === inliers.join()) break;
+    inliers = next;
+  }
+
+  return finish(fit(pick(inliers, source), pick(inliers, target)), model, source, target, inliers, { robust, threshold });
+}
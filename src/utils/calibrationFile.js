@@ -0,0 +1,149 @@
+// Calibration file export / import (versioned JSON)
+import { CALIBRATION_MODELS, DEFAULT_MODEL } from "./calibrationEngine";
+import { UNITS } from "./units";
+
+export const CALIBRATION_FILE_FORMAT = "bimibox-calibration";
+export const CALIBRATION_FILE_VERSION = 1;
+// `units` is the unit of the pairs' Revit coordinates; transform, residuals and anchors are meters
+export const KNOWN_UNITS = Object.keys(UNITS);
+
+const isNum = (v) => typeof v === "number" && isFinite(v);
+
+const isOrientation = (o) =>
+  !!o && Array.isArray(o.quat) && o.quat.length === 4 && o.quat.every(isNum);
+
+const isXYZ = (p) => !!p && ["x", "y", "z"].every((c) => isNum(p[c]));
+
+const isAnchor = (a) => Number.isInteger(a?.frameIndex) && isXYZ(a.pano) && isXYZ(a.forge);
+
+const toXYZ = (p) => ({
+  x: parseFloat(p.x),
+  y: parseFloat(p.y),
+  z: parseFloat(p.z),
+});
+
+/**
+ * Build the exportable file object from modal pairs + a solved calibration
+ */
+export function buildCalibrationFile({
+  pairs,
+  options = {},
+  calibration,
+  orientation = null,
+  anchors = [],
+  datasetId = null,
+  urn = null,
+  units = "m",
+}) {
+  return {
+    format: CALIBRATION_FILE_FORMAT,
+    version: CALIBRATION_FILE_VERSION,
+    createdAt: new Date().toISOString(),
+    datasetId,
+    urn,
+    units,
+    options,
+    pairs: pairs.map((p) => ({ pano: toXYZ(p.pano), revit: toXYZ(p.revit) })),
+    transform: {
+      model: calibration.model,
+      scale: calibration.scale,
+      rotation: calibration.rotation,
+      matrix: calibration.matrix,
+      translation: calibration.translation,
+    },
+    orientation: orientation?.solved ? orientation : null,
+    anchors: anchors.map((a) => ({ frameIndex: a.frameIndex, pano: toXYZ(a.pano), forge: toXYZ(a.forge) })),
+    residuals: {
+      errors: calibration.errors,
+      meanError: calibration.meanError,
+      maxError: calibration.maxError,
+      inliers: calibration.inliers,
+      outliers: calibration.outliers,
+    },
+    quality: calibration.quality
+      ? {
+          grade: calibration.quality.grade,
+          looErrors: calibration.quality.looErrors,
+          looMean: calibration.quality.looMean,
+          condition: calibration.quality.geometry.condition,
+          warnings: calibration.quality.warnings,
+        }
+      : null,
+  };
+}
+
+/**
+ * Parse + validate a calibration file. Throws an Error describing the first problem.
+ */
+export function parseCalibrationFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error("File is not valid JSON");
+  }
+
+  if (!file || file.format !== CALIBRATION_FILE_FORMAT) {
+    throw new Error(`Not a calibration file (expected format "${CALIBRATION_FILE_FORMAT}")`);
+  }
+  if (!Number.isInteger(file.version) || file.version > CALIBRATION_FILE_VERSION) {
+    throw new Error(`Unsupported calibration file version: ${file.version}`);
+  }
+  if (!KNOWN_UNITS.includes(file.units)) {
+    throw new Error(`Unknown units "${file.units}"`);
+  }
+  const model = file.transform?.model || file.options?.model || DEFAULT_MODEL;
+  const minPairs = CALIBRATION_MODELS[model]?.minPairs ?? 3;
+  if (!Array.isArray(file.pairs) || file.pairs.length < minPairs) {
+    throw new Error(`File must contain at least ${minPairs} point pairs`);
+  }
+
+  file.pairs.forEach((pair, i) => {
+    ["pano", "revit"].forEach((space) => {
+      if (!isXYZ(pair?.[space])) {
+        throw new Error(`Pair ${i + 1}: ${space} point must have numeric x/y/z`);
+      }
+    });
+  });
+
+  const t = file.transform;
+  if (
+    !t ||
+    !isNum(t.scale) ||
+    !Array.isArray(t.translation) || !t.translation.every(isNum) ||
+    !Array.isArray(t.rotation) || !t.rotation.every((row) => Array.isArray(row) && row.every(isNum))
+  ) {
+    throw new Error("File has a missing or malformed transform");
+  }
+
+  return {
+    createdAt: file.createdAt ?? null,
+    datasetId: file.datasetId ?? null,
+    urn: file.urn ?? null,
+    units: file.units,
+    options: file.options ?? {},
+    // Back into the string form the modal inputs use
+    pairs: file.pairs.map((pair) => ({
+      pano: { x: String(pair.pano.x), y: String(pair.pano.y), z: String(pair.pano.z) },
+      revit: { x: String(pair.revit.x), y: String(pair.revit.y), z: String(pair.revit.z) },
+    })),
+    transform: t,
+    residuals: file.residuals ?? null,
+    quality: file.quality ?? null,
+    orientation: isOrientation(file.orientation) ? file.orientation : null,
+    anchors: (file.anchors ?? []).filter(isAnchor),
+  };
+}
+
+/**
+ * Trigger a browser download of the file object
+ */
+export function downloadCalibrationFile(file, filename) {
+  const blob = new Blob([JSON.stringify(file, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
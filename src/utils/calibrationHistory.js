@@ -0,0 +1,100 @@
+// Calibration history (per profile): every Apply / Reset is a timestamped entry
+import { panoToForge, withDriftCorrection } from "./calibratePanoToForge";
+
+export const MAX_HISTORY = 50;
+
+const newId = () => `hist_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+
+/**
+ * Entry for an applied calibration (or a reset when calibration is null)
+ */
+export function makeHistoryEntry({ pairs, options, anchors = [], calibration, action = "apply" }) {
+  return {
+    id: newId(),
+    createdAt: new Date().toISOString(),
+    action,
+    pairs: JSON.parse(JSON.stringify(pairs)),
+    options: { ...options },
+    anchors: JSON.parse(JSON.stringify(anchors)),
+    transform: calibration
+      ? {
+          model: calibration.model,
+          scale: calibration.scale,
+          rotation: calibration.rotation,
+          matrix: calibration.matrix,
+          inverse: calibration.inverse,
+          translation: calibration.translation,
+          frame: calibration.frame,
+        }
+      : null,
+    residuals: calibration
+      ? {
+          errors: calibration.errors,
+          meanError: calibration.meanError,
+          maxError: calibration.maxError,
+          outliers: calibration.outliers,
+          grade: calibration.quality?.grade ?? null,
+        }
+      : null,
+  };
+}
+
+/**
+ * Append after the current entry (dropping any redo branch), capped at MAX_HISTORY
+ */
+export function pushHistory(history = [], index = history.length - 1, entry) {
+  const next = [...history.slice(0, index + 1), entry].slice(-MAX_HISTORY);
+  return { history: next, historyIndex: next.length - 1 };
+}
+
+export const canUndo = (index) => index > 0;
+export const canRedo = (history, index) => index < history.length - 1;
+
+// Angle (degrees) of the rotation taking A onto B: acos((trace(Aᵀ·B) - 1) / 2)
+function rotationDelta(A, B) {
+  let trace = 0;
+  for (let i = 0; i < 3; i++)
+    for (let k = 0; k < 3; k++) trace += A[k][i] * B[k][i];
+  return Math.acos(Math.max(-1, Math.min(1, (trace - 1) / 2))) * 180 / Math.PI;
+}
+
+// An entry's transform with its drift anchors, as panoToForge applied it
+const entryCalibration = (entry) =>
+  entry.anchors?.length ? withDriftCorrection(entry.transform, entry.anchors) : entry.transform;
+
+const toPanoPoint = (p) => [parseFloat(p.x), parseFloat(p.y), parseFloat(p.z)];
+
+/**
+ * Compare two applied entries:
+ *   { scaleRatio, scaleDelta, rotationDeg, translationDelta, translationShift, anchors: [a, b], meanShift, maxShift }
+ * Shift = how far the same pano points land apart in Forge (drift correction included),
+ * over both entries' pair and anchor pano points.
+ */
+export function diffEntries(a, b) {
+  if (!a?.transform || !b?.transform) return null;
+  const ta = a.transform, tb = b.transform;
+  const ca = entryCalibration(a), cb = entryCalibration(b);
+
+  const translationDelta = tb.translation.map((v, i) => v - ta.translation[i]);
+
+  const samples = [
+    ...[...a.pairs, ...b.pairs].map((p) => toPanoPoint(p.pano)),
+    ...[...(a.anchors ?? []), ...(b.anchors ?? [])].map((an) => toPanoPoint(an.pano)),
+  ];
+  const shifts = samples.map((p) => {
+    const fa = panoToForge(p, ca);
+    const fb = panoToForge(p, cb);
+    return Math.hypot(fb[0] - fa[0], fb[1] - fa[1], fb[2] - fa[2]);
+  });
+
+  return {
+    scaleRatio: tb.scale / ta.scale,
+    scaleDelta: tb.scale - ta.scale,
+    rotationDeg: rotationDelta(ta.rotation, tb.rotation),
+    translationDelta,
+    translationShift: Math.hypot(...translationDelta),
+    anchors: [a.anchors?.length ?? 0, b.anchors?.length ?? 0],
+    meanShift: shifts.length ? shifts.reduce((s, v) => s + v, 0) / shifts.length : 0,
+    maxShift: shifts.length ? Math.max(...shifts) : 0,
+  };
+}
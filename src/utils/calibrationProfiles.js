@@ -0,0 +1,160 @@
+// Named calibration profiles, keyed by dataset id + model URN (localStorage)
+
+const PROFILES_KEY = "revit-pano-calibration-profiles-v1";
+
+// Pre-profile storage, migrated into a "Default" profile on first load
+const LEGACY_PAIRS_KEY = "revit-pano-calibration-v2";
+const LEGACY_OPTIONS_KEY = "revit-pano-calibration-options";
+
+const matchKey = (datasetId, urn) => `${datasetId ?? ""}::${urn ?? ""}`;
+
+const newId = () =>
+  `prof_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`;
+
+function readStore() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(PROFILES_KEY) || "null");
+    if (parsed && Array.isArray(parsed.profiles)) {
+      return { profiles: parsed.profiles, selected: parsed.selected || {} };
+    }
+  } catch (e) {
+    console.warn("[PROFILES] Corrupt profile store → starting fresh", e);
+  }
+  return { profiles: [], selected: {} };
+}
+
+function writeStore(store) {
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(store));
+}
+
+/**
+ * Profiles for one dataset/model pair (or every profile when called without filters)
+ */
+export function listProfiles({ datasetId, urn } = {}) {
+  const { profiles } = readStore();
+  if (datasetId === undefined && urn === undefined) return profiles;
+  return profiles.filter((p) => p.datasetId === datasetId && p.urn === urn);
+}
+
+export function getProfile(id) {
+  return readStore().profiles.find((p) => p.id === id) || null;
+}
+
+export function createProfile({
+  name,
+  datasetId,
+  urn,
+  pairs = [],
+  options = {},
+  orientation = null,
+  anchors = [],
+  regression = null,
+}) {
+  const store = readStore();
+  const now = new Date().toISOString();
+  const profile = {
+    id: newId(),
+    name: name || "Untitled",
+    datasetId,
+    urn,
+    pairs,
+    options,
+    orientation, // solved camera orientation offset, null = default
+    anchors, // drift-correction anchors { frameIndex, pano, forge }
+    regression, // fitted pano pose → Forge offset correction, null = none
+    createdAt: now,
+    updatedAt: now,
+  };
+  store.profiles.push(profile);
+  store.selected[matchKey(datasetId, urn)] = profile.id;
+  writeStore(store);
+  return profile;
+}
+
+export function updateProfile(id, patch) {
+  const store = readStore();
+  const idx = store.profiles.findIndex((p) => p.id === id);
+  if (idx === -1) throw new Error(`Profile ${id} not found`);
+  store.profiles[idx] = {
+    ...store.profiles[idx],
+    ...patch,
+    id,
+    updatedAt: new Date().toISOString(),
+  };
+  writeStore(store);
+  return store.profiles[idx];
+}
+
+export function renameProfile(id, name) {
+  return updateProfile(id, { name });
+}
+
+export function duplicateProfile(id, name) {
+  const src = getProfile(id);
+  if (!src) throw new Error(`Profile ${id} not found`);
+  return createProfile({
+    name: name || `${src.name} (copy)`,
+    datasetId: src.datasetId,
+    urn: src.urn,
+    pairs: JSON.parse(JSON.stringify(src.pairs)),
+    options: { ...src.options },
+    orientation: src.orientation ?? null,
+    anchors: JSON.parse(JSON.stringify(src.anchors ?? [])),
+    regression: src.regression ? JSON.parse(JSON.stringify(src.regression)) : null,
+  });
+}
+
+export function deleteProfile(id) {
+  const store = readStore();
+  store.profiles = store.profiles.filter((p) => p.id !== id);
+  Object.keys(store.selected).forEach((k) => {
+    if (store.selected[k] === id) delete store.selected[k];
+  });
+  writeStore(store);
+}
+
+export function selectProfile(datasetId, urn, id) {
+  const store = readStore();
+  store.selected[matchKey(datasetId, urn)] = id;
+  writeStore(store);
+}
+
+/**
+ * Profile to auto-select for a dataset/model pair:
+ * the last selected one, else the most recently updated match, else null
+ */
+export function getSelectedProfile(datasetId, urn) {
+  const store = readStore();
+  const matches = store.profiles.filter((p) => p.datasetId === datasetId && p.urn === urn);
+  const selectedId = store.selected[matchKey(datasetId, urn)];
+  return (
+    matches.find((p) => p.id === selectedId) ||
+    [...matches].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))[0] ||
+    null
+  );
+}
+
+/**
+ * Move the old single global calibration into a "Default" profile for the
+ * dataset/model that is loaded when it is first seen
+ */
+export function migrateLegacyCalibration(datasetId, urn) {
+  const raw = localStorage.getItem(LEGACY_PAIRS_KEY);
+  if (!raw) return null;
+
+  let profile = null;
+  try {
+    const pairs = JSON.parse(raw);
+    const options = JSON.parse(localStorage.getItem(LEGACY_OPTIONS_KEY) || "{}");
+    if (Array.isArray(pairs) && pairs.length) {
+      profile = createProfile({ name: "Default", datasetId, urn, pairs, options });
+      console.log("[PROFILES] Migrated legacy calibration →", profile.id);
+    }
+  } catch (e) {
+    console.warn("[PROFILES] Legacy calibration unreadable → dropped", e);
+  }
+
+  localStorage.removeItem(LEGACY_PAIRS_KEY);
+  localStorage.removeItem(LEGACY_OPTIONS_KEY);
+  return profile;
+}
@@ -0,0 +1,115 @@
+import { Matrix, SVD } from 'ml-matrix';
+import { CALIBRATION_MODELS, applyTransform, solveTransform } from './calibrationEngine';
+
+// ============================================================================
+// CALIBRATION QUALITY
+// Leave-one-out cross-validation + point-geometry check → one letter grade.
+// Works in the engine's solver frame (Z up), on a result from solveTransform.
+// ============================================================================
+
+// Grade bands on the leave-one-out mean error (meters)
+const GRADE_BANDS = [
+  { grade: 'A', maxError: 0.1 },
+  { grade: 'B', maxError: 0.25 },
+  { grade: 'C', maxError: 0.5 },
+  { grade: 'D', maxError: Infinity },
+];
+const GRADES = GRADE_BANDS.map(b => b.grade);
+
+// Second / first singular value of the point spread below this → "collinear"
+const COLLINEAR_RATIO = 0.1;
+
+export const GRADE_COLORS = { A: '#059669', B: '#65a30d', C: '#d97706', D: '#dc2626' };
+
+const mean = (arr) => arr.reduce((a, b) => a + b, 0) / arr.length;
+
+// Singular values of the centred points (XY only for the planar model)
+function spread(points, model) {
+  const dims = model === 'planar' ? 2 : 3;
+  const c = [0, 1, 2].map(d => mean(points.map(p => p[d])));
+  const rows = points.map(p => p.slice(0, dims).map((v, d) => v - c[d]));
+  return new SVD(new Matrix(rows), {
+    computeLeftSingularVectors: false,
+    computeRightSingularVectors: false,
+    autoTranspose: true,
+  }).diagonal;
+}
+
+/**
+ * Geometry of the inlier source points.
+ * ratio = s2/s1 (1 = well spread, 0 = collinear); condition = s1/s2.
+ * The planar model only needs two distinct points, so it is never "collinear".
+ */
+export function pointGeometry(points, model) {
+  const s = spread(points, model);
+  const ratio = s[0] > 0 ? (s[1] ?? 0) / s[0] : 0;
+  return {
+    ratio,
+    condition: ratio > 0 ? 1 / ratio : Infinity,
+    collinear: model !== 'planar' && ratio < COLLINEAR_RATIO,
+    // Affine also needs the points off a single plane
+    coplanar: model === 'affine' && s[0] > 0 && (s[2] ?? 0) / s[0] < COLLINEAR_RATIO,
+  };
+}
+
+/**
+ * Refit without each inlier pair in turn and measure how far the held-out
+ * pair lands. Returns one error per source point (null where not evaluated).
+ */
+export function leaveOneOut(source, target, result, options = {}) {
+  const { minPairs } = CALIBRATION_MODELS[result.model];
+  const looErrors = source.map(() => null);
+  if (result.inliers.length <= minPairs) return looErrors;
+
+  result.inliers.forEach((held) => {
+    const keep = result.inliers.filter(i => i !== held);
+    try {
+      const fold = solveTransform(keep.map(i => source[i]), keep.map(i => target[i]), {
+        ...options,
+        model: result.model,
+        robust: false,
+      });
+      const p = applyTransform(fold, source[held]);
+      const t = target[held];
+      looErrors[held] = Math.hypot(t[0] - p[0], t[1] - p[1], t[2] - p[2]);
+    } catch {
+      // degenerate fold – leave unevaluated
+    }
+  });
+  return looErrors;
+}
+
+/**
+ * Full quality report for a solved calibration:
+ *   { grade, looErrors, looMean, looMax, geometry, warnings }
+ */
+export function assessCalibration(source, target, result, options = {}) {
+  const inlierSource = result.inliers.map(i => source[i]);
+  const geometry = pointGeometry(inlierSource, result.model);
+  const looErrors = leaveOneOut(source, target, result, options);
+
+  const evaluated = looErrors.filter(e => e !== null);
+  const looMean = evaluated.length ? mean(evaluated) : null;
+  const looMax = evaluated.length ? Math.max(...evaluated) : null;
+
+  const warnings = [];
+  let gradeIdx = GRADE_BANDS.findIndex(b => (looMean ?? result.meanError) <= b.maxError);
+
+  if (looMean === null) {
+    warnings.push('Not enough pairs for leave-one-out validation – add another pair');
+    gradeIdx = Math.max(gradeIdx, GRADES.indexOf('C'));
+  }
+  if (geometry.collinear) {
+    warnings.push('Points are nearly collinear – spread them across the floor');
+    gradeIdx = Math.min(gradeIdx + 1, GRADES.length - 1);
+  }
+  if (geometry.coplanar) {
+    warnings.push('Points are nearly coplanar – the affine model cannot solve height');
+    gradeIdx = Math.min(gradeIdx + 1, GRADES.length - 1);
+  }
+  if (result.outliers.length) {
+    warnings.push(`${result.outliers.length} pair(s) rejected as outliers`);
+  }
+
+  return { grade: GRADES[gradeIdx], looErrors, looMean, looMax, geometry, warnings };
+}
@@ -1,5 +1,20 @@
+import { solveRotation } from './calibrationEngine';
+import { DEFAULT_FRAME, datasetToWorld } from './coordinateFrames';
+import { clampToBoundary, normalizeBoundary } from './modelBoundary';
+import { panoToForge } from './calibratePanoToForge';
+import { applyRegression, regressionMatches } from './positionRegression';
+
+// Hand-tuned pano → Forge camera rotation (set5). Fallback when the active
+// calibration profile has no solved orientation.
 const QUAT_TRANSFORM = [0.66681372, -0.09451034, -0.00199205, 0.73920450];
 
+// quat: pano camera space → Forge camera space
+// reverseYaw: extra yaw (about pano Y) the hand-tuned offset needs on the way back
+export const DEFAULT_ORIENTATION = { quat: QUAT_TRANSFORM, reverseYaw: Math.PI, solved: false };
+
+// Minimum aligned views for solveOrientationOffset
+export const MIN_ORIENTATION_SAMPLES = 2;
+
 const qMul = ([x1,y1,z1,w1], [x2,y2,z2,w2]) => ([
   w1*x2 + x1*w2 + y1*z2 - z1*y2,
   w1*y2 - x1*z2 + y1*w2 + z1*x2,
@@ -17,264 +32,149 @@ const qInverse = ([x,y,z,w]) => {
   return [-x/len2, -y/len2, -z/len2,  w/len2];
 };
 
-// ─────────────────────────────────────────────
-// Normal transform (your existing one)
-export function transformQuaternion(x, y, z, w) {
-  return qNormalize(qMul(QUAT_TRANSFORM, [x, y, z, w]));
+// Rotate vector v by unit quaternion q
+const qRotate = (q, [vx, vy, vz]) => {
+  const [x, y, z] = qMul(qMul(q, [vx, vy, vz, 0]), qInverse(q));
+  return [x, y, z];
+};
+
+// 3×3 rotation matrix → unit quaternion [x, y, z, w]
+const matToQuat = (m) => {
+  const trace = m[0][0] + m[1][1] + m[2][2];
+  let q;
+  if (trace > 0) {
+    const s = 0.5 / Math.sqrt(trace + 1);
+    q = [(m[2][1] - m[1][2]) * s, (m[0][2] - m[2][0]) * s, (m[1][0] - m[0][1]) * s, 0.25 / s];
+  } else if (m[0][0] > m[1][1] && m[0][0] > m[2][2]) {
+    const s = 2 * Math.sqrt(1 + m[0][0] - m[1][1] - m[2][2]);
+    q = [0.25 * s, (m[0][1] + m[1][0]) / s, (m[0][2] + m[2][0]) / s, (m[2][1] - m[1][2]) / s];
+  } else if (m[1][1] > m[2][2]) {
+    const s = 2 * Math.sqrt(1 + m[1][1] - m[0][0] - m[2][2]);
+    q = [(m[0][1] + m[1][0]) / s, 0.25 * s, (m[1][2] + m[2][1]) / s, (m[0][2] - m[2][0]) / s];
+  } else {
+    const s = 2 * Math.sqrt(1 + m[2][2] - m[0][0] - m[1][1]);
+    q = [(m[0][2] + m[2][0]) / s, (m[1][2] + m[2][1]) / s, 0.25 * s, (m[1][0] - m[0][1]) / s];
+  }
+  return qNormalize(q);
+};
+
+const angleBetween = (a, b) =>
+  Math.acos(Math.max(-1, Math.min(1, a[0]*b[0] + a[1]*b[1] + a[2]*b[2]))) * 180 / Math.PI;
+
+// Both viewers use three.js cameras: look down -Z, up +Y
+const CAM_FORWARD = [0, 0, -1];
+const CAM_UP = [0, 1, 0];
+
+/**
+ * Solve the pano → Forge camera rotation from views aligned on landmarks.
+ * samples: [{ pano: [x,y,z,w], forge: [x,y,z,w] }] – camera quaternions
+ * captured while both viewers looked at the same landmark.
+ * ForgeViewer aims along (L · panoQuat) · (0,0,-1), so forward and up
+ * directions of each sample give a Wahba problem for L.
+ */
+export function solveOrientationOffset(samples) {
+  if (samples.length < MIN_ORIENTATION_SAMPLES) {
+    throw new Error(`Align at least ${MIN_ORIENTATION_SAMPLES} landmark views`);
+  }
+
+  const source = [];
+  const target = [];
+  samples.forEach(({ pano, forge }) => {
+    source.push(qRotate(qNormalize(pano), CAM_FORWARD), qRotate(qNormalize(pano), CAM_UP));
+    target.push(qRotate(qNormalize(forge), CAM_FORWARD), qRotate(qNormalize(forge), CAM_UP));
+  });
+
+  const quat = matToQuat(solveRotation(source, target));
+
+  // View-direction error per sample (degrees)
+  const errors = samples.map(({ pano, forge }) =>
+    angleBetween(qRotate(quat, qRotate(qNormalize(pano), CAM_FORWARD)), qRotate(qNormalize(forge), CAM_FORWARD))
+  );
+
+  return {
+    quat,
+    reverseYaw: 0,
+    solved: true,
+    samples,
+    errors,
+    meanError: errors.reduce((a, b) => a + b, 0) / errors.length,
+  };
 }
 
-const Q_PITCH_DOWN_90 = [Math.SQRT1_2, 0, 0, Math.SQRT1_2]; // ≈ [0.707, 0, 0, 0.707]
-// or use exact: [Math.sqrt(0.5), 0, 0, Math.sqrt(0.5)]
-// Add this constant to your utilities
-const Q_180_Z = [0, 0, 1, 0]; // 180° rotation around Z-axis
+// ─────────────────────────────────────────────
+// Normal transform – orientation from the calibration profile (or the default)
+export function transformQuaternion(x, y, z, w, orientation = DEFAULT_ORIENTATION) {
+  return qNormalize(qMul(orientation.quat, [x, y, z, w]));
+}
 
 // ─────────────────────────────────────────────
 // New mirrored transform: left↔right flip (same POV)
-export function transformQuaternionMirrored(x, y, z, w) {
+export function transformQuaternionMirrored(x, y, z, w, orientation = DEFAULT_ORIENTATION) {
   // Step 1: Apply the normal, stable transform
-  const normalResult = transformQuaternion(x, y, z, w); 
+  const normalResult = transformQuaternion(x, y, z, w, orientation);
   
   // Step 2: Apply 180° rotation around Z-axis (horizontal flip) to the result.
   // This is algebraically more stable than trying to mirror the input quaternion 
   // since the QUAT_TRANSFORM is non-trivial.
-  const finalResult = qNormalize(qMul(Q_180_Z, normalResult));
+  const finalResult = qNormalize(qMul([0, 0, 1, 0], normalResult)); // 180° about Z
 
   return finalResult;
 }
 
 
 // --- the reverse transform ---
-export function reverseTransform(x, y, z, w) {
-  const QT_INV = qInverse(QUAT_TRANSFORM);  // ← CORRECT
-  return qNormalize(qMul(QT_INV, [x, y, z, w]));
-}
-
+export function reverseTransform(x, y, z, w, orientation = DEFAULT_ORIENTATION) {
+  const QT_INV = qInverse(orientation.quat);  // ← CORRECT
+  const q = qNormalize(qMul(QT_INV, [x, y, z, w]));
+  if (!orientation.reverseYaw) return q;
 
-/** +90° pitch-down (the same you add when going Pano to Forge) */
-
-/** Full reverse pipeline (Forge to Pano) */
-/** Full reverse pipeline (Forge → Pano) */
-export const forgeToPanoQuaternion = (qx, qy, qz, qw) => {
-  // 1. Undo the normal calibration quaternion
-  const QT_INV = qInverse(QUAT_TRANSFORM);
-  const step1 = qNormalize(qMul(QT_INV, [qx, qy, qz, qw]));
+  const half = orientation.reverseYaw / 2;
+  return qNormalize(qMul(q, [0, Math.sin(half), 0, Math.cos(half)]));
+}
 
-  // 2. Undo the +90° pitch-down
-  const invPitch = qInverse(Q_PITCH_DOWN_90);
-  const step2 = qNormalize(qMul(invPitch, step1));
 
-  // 3. UNDO the 180° Z-flip (from mirrored transform)
-  const Q_180_Z_INV = qInverse(Q_180_Z); // = Q_180_Z (since it's 180°)
-  const final = qNormalize(qMul(Q_180_Z_INV, step2));
+/** Full reverse pipeline (Forge → Pano) – the inverse of transformQuaternion */
+export const forgeToPanoQuaternion = (qx, qy, qz, qw, orientation = DEFAULT_ORIENTATION) =>
+  reverseTransform(qx, qy, qz, qw, orientation);
 
-  return final; // [x, y, z, w] → ready for Pano
-};
 // ============================================================================
 // BOUNDARY CONSTRAINT UTILITIES
 // ============================================================================
 
-const BOUNDARY_POINTS = [
-  {x: 79.7, y: 39.5},
-  {x: 39.8, y: 39.8},
-  {x: 41.7, y: 106.7},
-  {x: 63.2, y: 107.2},
-  {x: 63.2, y: 125.3},
-  {x: 79.7, y: 127.3}
-];
-
-const CORRECTION_COEFFS = {
-  x: { pano_x: 5.4, pano_y: -2.6, pano_z: 1.2 },
-  y: { pano_x: -0.9, pano_y: 14.4, pano_z: 1.8 }
-};
-
-const BOUNDARY_MARGIN = 0.5; // Safety margin in units
-
-/**
- * Ray casting algorithm: Check if point is inside polygon
- * Time complexity: O(n) where n = number of boundary points
- */
-function isPointInsideBoundary(x, y) {
-  let isInside = false;
-  const points = BOUNDARY_POINTS;
-  
-  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
-    const xi = points[i].x, yi = points[i].y;
-    const xj = points[j].x, yj = points[j].y;
-    
-    const intersect = (yi > y) !== (yj > y) &&
-                      x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
-    if (intersect) isInside = !isInside;
-  }
-  
-  return isInside;
-}
-
-/**
- * Find nearest point on polygon boundary
- * Used to project out-of-bounds points back inside
- * Time complexity: O(n * 1) simplified to O(n)
- */
-function findNearestBoundaryPoint(x, y) {
-  const points = BOUNDARY_POINTS;
-  let minDistance = Infinity;
-  let nearestX = x, nearestY = y;
-  
-  for (let i = 0; i < points.length; i++) {
-    const p1 = points[i];
-    const p2 = points[(i + 1) % points.length];
-    
-    // Vector from p1 to p2
-    const dx = p2.x - p1.x;
-    const dy = p2.y - p1.y;
-    const len2 = dx * dx + dy * dy;
-    
-    if (len2 === 0) continue;
-    
-    // Parameter t: how far along edge from p1 toward p2
-    let t = ((x - p1.x) * dx + (y - p1.y) * dy) / len2;
-    t = Math.max(0, Math.min(1, t));
-    
-    // Closest point on this edge segment
-    const closestX = p1.x + t * dx;
-    const closestY = p1.y + t * dy;
-    
-    const dist = Math.hypot(x - closestX, y - closestY);
-    
-    if (dist < minDistance) {
-      minDistance = dist;
-      nearestX = closestX;
-      nearestY = closestY;
-    }
-  }
-  
-  return { x: nearestX, y: nearestY, distance: minDistance };
-}
-
 /**
- * Calculate centroid (average of all boundary points)
- * Safe point guaranteed to be inside polygon
+ * Main transformation: Pano → Forge with boundary constraint
+ * @param {number[]} panoPos - Pano position [x, y, z] (dataset frame)
+ * @param {object} calibration - Active calibration (see calibratePanoToForge.js)
+ * @param {object} options.regression - Fitted correction from the active profile (see positionRegression.js)
+ * @param {object} options.boundary - Saved model boundary (see modelBoundary.js); null → no clamp
  */
-function getPolygonCentroid() {
-  let cx = 0, cy = 0;
-  const points = BOUNDARY_POINTS;
-  
-  for (const p of points) {
-    cx += p.x;
-    cy += p.y;
-  }
-  
-  return { x: cx / points.length, y: cy / points.length };
-}
+export function transformPanoToForgeWithBoundary(panoPos, calibration, { regression = null, boundary = null } = {}) {
+  // Step 1: Calibrated position plus the fitted correction
+  const [x, y, z] = transformPanoToForge(panoPos, calibration, regression);
 
-/**
- * Clamp point to polygon boundary
- * If inside: returns unchanged
- * If outside: projects to edge then moves inward with margin
- */
-function clampToBoundary(x, y) {
-  if (isPointInsideBoundary(x, y)) {
-    return { x, y, wasClamped: false };
-  }
-  
-  // Point is outside - find edge, project inward
-  const nearest = findNearestBoundaryPoint(x, y);
-  const centroid = getPolygonCentroid();
-  
-  // Direction vector from edge toward center
-  let dirX = centroid.x - nearest.x;
-  let dirY = centroid.y - nearest.y;
-  
-  // Normalize direction
-  const dirLen = Math.hypot(dirX, dirY);
-  if (dirLen > 0) {
-    dirX /= dirLen;
-    dirY /= dirLen;
-  }
-  
-  // Move inward from edge by safety margin
-  const clampedX = nearest.x + dirX * BOUNDARY_MARGIN;
-  const clampedY = nearest.y + dirY * BOUNDARY_MARGIN;
-  
-  return {
-    x: clampedX,
-    y: clampedY,
-    wasClamped: true,
-    originalDistance: nearest.distance
-  };
-}
+  // Step 2: Enforce boundary constraint
+  const outline = normalizeBoundary(boundary);
+  if (!outline) return { x, y, z, wasClamped: false };
+  const clamped = clampToBoundary(outline, x, y);
 
-/**
- * Main transformation: Pano → Forge with boundary constraint
- * @param {number} pano_x - Camera pan offset
- * @param {number} pano_y - Camera tilt offset  
- * @param {number} pano_z - Camera distance/zoom
- * @param {object} realWorldPos - Anchor-adjusted position {x, y, z}
- */
-function transformPanoToForgeWithBoundary(pano_x, pano_y, pano_z, realWorldPos) {
-  // Step 1: Apply learned correction coefficients
-  const correction_x = 
-    pano_x * CORRECTION_COEFFS.x.pano_x +
-    pano_y * CORRECTION_COEFFS.x.pano_y +
-    pano_z * CORRECTION_COEFFS.x.pano_z;
-  
-  const correction_y =
-    pano_x * CORRECTION_COEFFS.y.pano_x +
-    pano_y * CORRECTION_COEFFS.y.pano_y +
-    pano_z * CORRECTION_COEFFS.y.pano_z;
-  
-  // Step 2: Apply correction to anchor position
-  let result_x = realWorldPos.x + correction_x;
-  let result_y = realWorldPos.y + correction_y;
-  
-  // Step 3: Enforce boundary constraint
-  const clamped = clampToBoundary(result_x, result_y);
-  
-  return {
-    x: clamped.x,
-    y: clamped.y,
-    z: 5,
-    wasClamped: clamped.wasClamped,
-    appliedCorrection: { x: correction_x, y: correction_y }
-  };
+  return { x: clamped.x, y: clamped.y, z, wasClamped: clamped.wasClamped };
 }
 
 // ============================================================================
 // REACT COMPONENT INTEGRATION
 // ============================================================================
 
-export const transformPanoToForge = (panoX, panoY, panoZ, forgeAnchorX, forgeAnchorY) => {
-  // Polynomial (degree 2) calibrated coefficients
-  // Based on non-linear regression of panorama viewing angles
-  
-  // Offset X calculation with quadratic terms
-  const offsetX = 
-    7.4506 * panoX 
-    - 20.2788 * panoY 
-    + 2.0486 * panoZ 
-    + 0.0342 * panoX * panoY 
-    + 0.0935 * panoY * panoY 
-    + 0.0213 * panoY * panoZ 
-    + 0.2149;  // intercept
-
-  // Offset Y calculation with quadratic terms
-  const offsetY = 
-    0.9336 * panoX 
-    - 16.9745 * panoY 
-    + 3.4552 * panoZ 
-    + 0.0756 * panoX * panoY 
-    + 0.3271 * panoY * panoY 
-    + 0.0387 * panoY * panoZ 
-    - 0.8702;  // intercept
-
-  // Result = anchor + offset
-  const resultX = forgeAnchorX + offsetX;
-  const resultY = forgeAnchorY + offsetY;
-  const resultZ = 5;
-
-  return [resultX, resultY, resultZ];
-};
-
+// Forge world position (meters) of a pano position: the calibration's
+// panoToForge is the anchor, plus the offset of the regression fitted on the
+// active profile – samples are recorded against that same anchor. Without a
+// regression fitted against this calibration the anchor is returned as is.
+export const transformPanoToForge = (panoPos, calibration, regression = null) => {
+  const [anchorX, anchorY, anchorZ] = panoToForge(panoPos, calibration);
+  if (!regressionMatches(regression, calibration)) return [anchorX, anchorY, anchorZ];
 
+  const [offsetX, offsetY] = applyRegression(regression, panoPos);
+  return [anchorX + offsetX, anchorY + offsetY, anchorZ];
+};
 
 export function flipHorizontalDirection(quat) {
   const q = new THREE.Quaternion(...quat);
@@ -296,7 +196,7 @@ export function flipHorizontalDirection(quat) {
 
 
 
-export function syncPanoPathPointToForge(anchorPosition, localPanoPoint, viewerRef) {
+export function syncPanoPathPointToForge(anchorPosition, localPanoPoint, viewerRef, frame = DEFAULT_FRAME) {
     const viewer = viewerRef.current;
     const nav = viewer.navigation;
     if (!viewer) {
@@ -310,22 +210,22 @@ export function syncPanoPathPointToForge(anchorPosition, localPanoPoint, viewerR
     }
 
     // --- 1. Calculate Combined Horizontal Coordinates ---
-    // X and Y are assumed to be horizontal axes in the Pano data.
-    const combinedX = anchorPosition.x + localPanoPoint.x;
-    const combinedY = anchorPosition.y + localPanoPoint.z; 
+    // The dataset's coordinate frame maps the pano offset onto east / north.
+    const [east, north] = datasetToWorld([localPanoPoint.x, localPanoPoint.y, localPanoPoint.z], frame);
+    const combinedX = anchorPosition.x + east;
+    const combinedY = anchorPosition.y + north;
 
     // --- 2. ENFORCE CONSTANT HEIGHT ---
     // The Z-value of the anchor (5.0) is the desired constant height.
     // We IGNORE the localPanoPoint.y value (the Pano's height changes).
     const constantHeightZ = anchorPosition.z; 
 
-    // --- 3. Apply Y-Up to Z-Up Axis Swap (X, Z, Y convention) ---
-    // This resolves the 'moves to empty space' issue by correcting axis orientation.
-    // We construct the vector as (X_horiz1, Z_height, Y_horiz2)
+    // --- 3. Build the point in the Z-up world frame ---
+    // The frame already resolved the pano's up axis, so no Y/Z swap is needed here.
     const panoModelPoint = new THREE.Vector3(
-        combinedX,           // X (Horizontal 1) -> remains X
-        constantHeightZ,     // Anchor Z (Height) -> becomes Y (Axis Swap + Forge World Height)
-        combinedY            // Combined Y (Horizontal 2) -> becomes Z (Axis Swap)
+        combinedX,           // east
+        combinedY,           // north
+        constantHeightZ      // up
     );
 
     // 4. Apply the model's transformation to get the Forge World Position
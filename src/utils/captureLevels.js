@@ -0,0 +1,142 @@
+import { DEFAULT_FRAME, datasetToWorld } from './coordinateFrames';
+import { panoToForge } from './calibratePanoToForge';
+
+// ============================================================================
+// CAPTURE LEVELS
+// A capture that climbs stairs has frames on several floors. Every frame is
+// given a level:
+//
+//   - from the dataset, when frames carry "level" (the level name), or
+//   - by clustering camera heights: heights are binned, the busiest bins at
+//     least MIN_STOREY apart become levels, and every frame (stair frames
+//     included) joins the nearest one.
+//
+//   { source: 'dataset' | 'heights', levels: [{ id, name, height, count,
+//     anchor }], frameLevels: [level index per frame] }
+//
+// Levels are sorted bottom to top; height is the median camera height
+// (world meters) and anchor a dataset position on the level. Each level is
+// then mapped to a Revit level of the model – by hand (levelMap, saved per
+// dataset) or through the calibration: the highest Revit level at or below
+// the calibrated camera height.
+// ============================================================================
+
+const LEVEL_MAP_KEY = 'revit-pano-level-map-v1';
+
+const BIN_SIZE = 0.25; // m
+const MIN_STOREY = 2.2; // m – closest two levels can be
+const MIN_LEVEL_SHARE = 0.05; // of all frames, for a height cluster to count as a level
+const MIN_LEVEL_FRAMES = 5;
+// Camera may sit slightly below its floor's nominal elevation (slab offsets)
+const FLOOR_TOLERANCE = 0.3; // m
+
+const median = (values) => {
+  const s = [...values].sort((a, b) => a - b);
+  const m = s.length >> 1;
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+};
+
+// Frame closest to the level's median height stands in for the level
+function describeLevel(id, name, indices, frames, heights) {
+  const height = median(indices.map((i) => heights[i]));
+  const anchorIdx = indices.reduce((best, i) =>
+    Math.abs(heights[i] - height) < Math.abs(heights[best] - height) ? i : best
+  );
+  const { x, y, z } = frames[anchorIdx];
+  return { id, name, height, count: indices.length, anchor: [x, y, z] };
+}
+
+// Peaks of the height histogram, MIN_STOREY apart
+function heightPeaks(heights) {
+  const bins = new Map();
+  heights.forEach((h) => {
+    const b = Math.round(h / BIN_SIZE);
+    bins.set(b, (bins.get(b) ?? 0) + 1);
+  });
+
+  const minCount = Math.max(MIN_LEVEL_FRAMES, Math.ceil(heights.length * MIN_LEVEL_SHARE));
+  // Neighbouring bins count too, so a floor split across two bins is not lost
+  const smoothed = [...bins.keys()].map((b) => ({
+    height: b * BIN_SIZE,
+    count: (bins.get(b - 1) ?? 0) + bins.get(b) + (bins.get(b + 1) ?? 0),
+  }));
+
+  const peaks = [];
+  smoothed
+    .sort((a, b) => b.count - a.count)
+    .forEach((bin) => {
+      if (bin.count < minCount && peaks.length) return;
+      if (peaks.every((p) => Math.abs(p - bin.height) >= MIN_STOREY)) peaks.push(bin.height);
+    });
+  return peaks.sort((a, b) => a - b);
+}
+
+/**
+ * Assign a level to every frame ({ x, y, z, level? } in dataset coordinates)
+ */
+export function assignLevels(frames, frame = DEFAULT_FRAME) {
+  if (!frames.length) return { source: 'heights', levels: [], frameLevels: [] };
+  const heights = frames.map((f) => datasetToWorld([f.x, f.y, f.z], frame)[2]);
+
+  // Dataset levels – frames without one inherit the previous frame's
+  if (frames.some((f) => f.level != null)) {
+    let current = frames.find((f) => f.level != null).level;
+    const names = frames.map((f) => (current = f.level ?? current));
+    const groups = new Map();
+    names.forEach((name, i) => (groups.get(name) ?? groups.set(name, []).get(name)).push(i));
+
+    const levels = [...groups.entries()]
+      .map(([name, indices]) => describeLevel(name, name, indices, frames, heights))
+      .sort((a, b) => a.height - b.height);
+    const index = new Map(levels.map((l, i) => [l.id, i]));
+    return { source: 'dataset', levels, frameLevels: names.map((n) => index.get(n)) };
+  }
+
+  const peaks = heightPeaks(heights);
+  const frameLevels = heights.map((h) =>
+    peaks.reduce((best, p, i) => (Math.abs(h - p) < Math.abs(h - peaks[best]) ? i : best), 0)
+  );
+  const levels = peaks.map((_, li) => {
+    const indices = frameLevels.flatMap((l, i) => (l === li ? [i] : []));
+    return describeLevel(`L${li}`, `Level ${li + 1}`, indices, frames, heights);
+  });
+  return { source: 'heights', levels, frameLevels };
+}
+
+/**
+ * Revit level (from revitLevels, sorted by elevation, world meters) for a
+ * capture level: the manual choice in levelMap, else the highest level at or
+ * below the calibrated camera height. null when nothing matches.
+ */
+export function resolveRevitLevel(level, revitLevels, calibration, levelMap = {}) {
+  if (!level || !revitLevels?.length) return null;
+  const manual = levelMap[level.id];
+  if (manual) return revitLevels.find((r) => r.name === manual) ?? null;
+  if (!calibration) return null;
+
+  const z = panoToForge(level.anchor, calibration)[2];
+  const below = revitLevels.filter((r) => r.elevation <= z + FLOOR_TOLERANCE);
+  return below[below.length - 1] ?? revitLevels[0];
+}
+
+// ─────────────────────────────────────────────
+// Persistence (localStorage, keyed by dataset id)
+
+function readMaps() {
+  try {
+    return JSON.parse(localStorage.getItem(LEVEL_MAP_KEY) || '{}') || {};
+  } catch {
+    return {};
+  }
+}
+
+export function loadLevelMap(datasetId) {
+  return readMaps()[datasetId] ?? {};
+}
+
+export function saveLevelMap(datasetId, levelMap) {
+  const maps = readMaps();
+  maps[datasetId] = levelMap;
+  localStorage.setItem(LEVEL_MAP_KEY, JSON.stringify(maps));
+  return levelMap;
+}
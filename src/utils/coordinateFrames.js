@@ -0,0 +1,238 @@
+// ============================================================================
+// COORDINATE FRAMES
+// Each capture device writes positions in its own convention. A dataset's
+// frame definition says how its axes map onto the world frame the calibration
+// engine solves in (right-handed, Z up, meters: x = east, y = north, z = up):
+//
+//   {
+//     "id": "insta360",
+//     "handedness": "left",            // of the dataset axes
+//     "up": "+y",                      // dataset axis pointing up
+//     "north": "-z",                   // dataset axis mapped onto world +Y
+//     "axes": { "x": "-x", "y": "-z", "z": "+y" },  // optional – world ← dataset,
+//                                                   // derived from up/north/handedness
+//     "scale": { "x": 1, "y": 1, "z": 1 },          // dataset units → meters, per axis
+//     "viewScale": { "x": 3, "y": 1, "z": 1 }       // pano viewer path only
+//   }
+//
+// It lives under "coordinate_frame" in dataset_360.json; datasets without one
+// use DEFAULT_FRAME (the convention of the bundled captures).
+// The pano viewer (three.js, Y up) shows world axes as x = north, y = up,
+// z = east.
+// ============================================================================
+
+const AXES = ['x', 'y', 'z'];
+const SIGNED_AXIS = /^([+-]?)([xyz])$/;
+
+// ─────────────────────────────────────────────
+// Signed-axis helpers
+
+const parseAxis = (value, field) => {
+  const m = SIGNED_AXIS.exec(String(value ?? '').trim().toLowerCase());
+  if (!m) throw new Error(`Coordinate frame: "${field}" must be an axis like "+y" or "-z" (got "${value}")`);
+  return { sign: m[1] === '-' ? -1 : 1, axis: m[2] };
+};
+
+const axisVector = ({ sign, axis }) => AXES.map(a => (a === axis ? sign : 0));
+
+const vectorToAxis = (v) => {
+  const i = v.findIndex(c => c !== 0);
+  return `${v[i] < 0 ? '-' : '+'}${AXES[i]}`;
+};
+
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0],
+];
+
+const det3 = (m) =>
+  m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+  m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+  m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+
+const parseScale = (value, field) => {
+  const scale = { x: 1, y: 1, z: 1, ...value };
+  AXES.forEach(a => {
+    if (!(typeof scale[a] === 'number' && isFinite(scale[a]) && scale[a] > 0)) {
+      throw new Error(`Coordinate frame: ${field}.${a} must be a positive number`);
+    }
+  });
+  return scale;
+};
+
+/**
+ * Validate a frame definition and derive its axis matrix.
+ * Returns { id, label, handedness, up, north, axes, scale, viewScale, matrix }
+ * where matrix rows are world axes in dataset coordinates (signed permutation).
+ */
+export function parseCoordinateFrame(def = {}) {
+  const up = parseAxis(def.up ?? '+y', 'up');
+  const north = parseAxis(def.north ?? '-z', 'north');
+  if (up.axis === north.axis) throw new Error('Coordinate frame: "up" and "north" must be different axes');
+
+  const handedness = def.handedness ?? 'left';
+  if (handedness !== 'left' && handedness !== 'right') {
+    throw new Error('Coordinate frame: "handedness" must be "left" or "right"');
+  }
+
+  const U = axisVector(up);
+  const N = axisVector(north);
+  // World is right-handed: east = north × up; mirrored dataset axes flip it
+  const E = cross(N, U).map(c => (handedness === 'left' ? -c : c) || 0);
+  let matrix = [E, N, U];
+
+  if (def.axes) {
+    matrix = AXES.map(a => axisVector(parseAxis(def.axes[a], `axes.${a}`)));
+    if (Math.abs(det3(matrix)) !== 1) throw new Error('Coordinate frame: "axes" must use each dataset axis once');
+    if ((det3(matrix) < 0 ? 'left' : 'right') !== handedness) {
+      throw new Error(`Coordinate frame: "axes" describe a ${handedness === 'left' ? 'right' : 'left'}-handed dataset`);
+    }
+    if (vectorToAxis(matrix[2]) !== vectorToAxis(U) || vectorToAxis(matrix[1]) !== vectorToAxis(N)) {
+      throw new Error('Coordinate frame: "axes" disagree with "up" / "north"');
+    }
+  }
+
+  return {
+    id: def.id ?? 'custom',
+    label: def.label ?? def.id ?? 'Custom frame',
+    handedness,
+    up: vectorToAxis(U),
+    north: vectorToAxis(N),
+    axes: { x: vectorToAxis(matrix[0]), y: vectorToAxis(matrix[1]), z: vectorToAxis(matrix[2]) },
+    scale: parseScale(def.scale, 'scale'),
+    viewScale: parseScale(def.viewScale, 'viewScale'),
+    matrix,
+  };
+}
+
+// Y up, X mirrored, path exaggerated 3× along dataset X in the pano viewer
+export const DEFAULT_FRAME = parseCoordinateFrame({
+  id: 'default',
+  label: 'Default 360 capture (Y up, X mirrored)',
+  handedness: 'left',
+  up: '+y',
+  north: '-z',
+  viewScale: { x: 3, y: 1, z: 1 },
+});
+
+// ─────────────────────────────────────────────
+// Conversions (points as [x, y, z])
+
+const scaled = (p, s, dir = 1) => AXES.map((a, i) => (dir > 0 ? p[i] * s[a] : p[i] / s[a]));
+const mul = (m, v) => m.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+// Signed permutation → inverse is the transpose
+const mulT = (m, v) => AXES.map((_, i) => m[0][i] * v[0] + m[1][i] * v[1] + m[2][i] * v[2]);
+
+/**
+ * Dataset point → world frame (Z up, meters)
+ */
+export const datasetToWorld = (p, frame = DEFAULT_FRAME) => mul(frame.matrix, scaled(p, frame.scale));
+
+/**
+ * World frame point → dataset point
+ */
+export const worldToDataset = (w, frame = DEFAULT_FRAME) => scaled(mulT(frame.matrix, w), frame.scale, -1);
+
+/**
+ * Dataset point → pano viewer scene { x, y, z } (three.js, Y up)
+ */
+export function datasetToView(p, frame = DEFAULT_FRAME) {
+  const [e, n, u] = mul(frame.matrix, scaled(scaled(p, frame.scale), frame.viewScale));
+  return { x: n, y: u, z: e };
+}
+
+/**
+ * Pano viewer scene point (or offset) → dataset [x, y, z]
+ */
+export function viewToDataset(v, frame = DEFAULT_FRAME) {
+  const p = mulT(frame.matrix, [v.z, v.x, v.y]);
+  return scaled(scaled(p, frame.viewScale, -1), frame.scale, -1);
+}
+
+// ─────────────────────────────────────────────
+// Capture orientation (quaternions as { x, y, z, w })
+
+const quatToMatrix = ({ x, y, z, w }) => [
+  [1 - 2 * (y * y + z * z), 2 * (x * y - z * w), 2 * (x * z + y * w)],
+  [2 * (x * y + z * w), 1 - 2 * (x * x + z * z), 2 * (y * z - x * w)],
+  [2 * (x * z - y * w), 2 * (y * z + x * w), 1 - 2 * (x * x + y * y)],
+];
+
+const matrixToQuat = (m) => {
+  const tr = m[0][0] + m[1][1] + m[2][2];
+  if (tr > 0) {
+    const s = 0.5 / Math.sqrt(tr + 1);
+    return { w: 0.25 / s, x: (m[2][1] - m[1][2]) * s, y: (m[0][2] - m[2][0]) * s, z: (m[1][0] - m[0][1]) * s };
+  }
+  if (m[0][0] > m[1][1] && m[0][0] > m[2][2]) {
+    const s = 2 * Math.sqrt(1 + m[0][0] - m[1][1] - m[2][2]);
+    return { w: (m[2][1] - m[1][2]) / s, x: 0.25 * s, y: (m[0][1] + m[1][0]) / s, z: (m[0][2] + m[2][0]) / s };
+  }
+  if (m[1][1] > m[2][2]) {
+    const s = 2 * Math.sqrt(1 + m[1][1] - m[0][0] - m[2][2]);
+    return { w: (m[0][2] - m[2][0]) / s, x: (m[0][1] + m[1][0]) / s, y: 0.25 * s, z: (m[1][2] + m[2][1]) / s };
+  }
+  const s = 2 * Math.sqrt(1 + m[2][2] - m[0][0] - m[1][1]);
+  return { w: (m[1][0] - m[0][1]) / s, x: (m[0][2] + m[2][0]) / s, y: (m[1][2] + m[2][1]) / s, z: 0.25 * s };
+};
+
+const matMul = (a, b) => a.map(row => AXES.map((_, j) => row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j]));
+const transpose = (m) => AXES.map((_, i) => m.map(row => row[i]));
+
+const axisQuat = (axis, angle) => ({
+  x: axis === 'x' ? Math.sin(angle / 2) : 0,
+  y: axis === 'y' ? Math.sin(angle / 2) : 0,
+  z: axis === 'z' ? Math.sin(angle / 2) : 0,
+  w: Math.cos(angle / 2),
+});
+
+const quatMul = (a, b) => ({
+  w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z,
+  x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+  y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+  z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w,
+});
+
+/**
+ * Compass heading of the image centre (degrees: yaw clockwise from north,
+ * pitch up, roll clockwise) → camera → pano viewer rotation
+ */
+export function headingToView({ yaw = 0, pitch = 0, roll = 0 }) {
+  const rad = Math.PI / 180;
+  // Camera -Z turned from view +X (north) towards +Z (east)
+  const turn = axisQuat('y', -(Math.PI / 2 + yaw * rad));
+  return quatMul(quatMul(turn, axisQuat('x', pitch * rad)), axisQuat('z', -roll * rad));
+}
+
+// World (east, north, up) → pano viewer (x = north, y = up, z = east)
+const WORLD_TO_VIEW = [
+  [0, 1, 0],
+  [0, 0, 1],
+  [1, 0, 0],
+];
+
+// Reference pose in dataset axes: camera +X → east, +Y → up, -Z → north
+const referencePose = (frame) => {
+  const [E, N, U] = frame.matrix;
+  return transpose([E, U, N.map(c => -c)]);
+};
+
+/**
+ * Frame orientation (dataset_360.json "orientation") → camera → pano viewer
+ * rotation. The orientation is a rotation in dataset axes away from the
+ * reference pose: image centre facing north, upright.
+ */
+export function rotationToView(q, frame = DEFAULT_FRAME) {
+  const m = matMul(WORLD_TO_VIEW, frame.matrix);
+  const inView = matMul(matMul(m, quatToMatrix(q)), transpose(m));
+  return matrixToQuat(matMul(inView, quatToMatrix(headingToView({}))));
+}
+
+/**
+ * Camera → dataset rotation of an SfM pose (three.js camera axes) → frame
+ * orientation. Only meaningful for right-handed frames.
+ */
+export function cameraToOrientation(q, frame = DEFAULT_FRAME) {
+  return matrixToQuat(matMul(quatToMatrix(q), transpose(referencePose(frame))));
+}
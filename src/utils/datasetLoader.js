@@ -0,0 +1,308 @@
+import { DEFAULT_FRAME, parseCoordinateFrame } from './coordinateFrames';
+import { datasetUrl } from './localDataset';
+
+// ============================================================================
+// DATASET LOADER
+// Reads /data/<id>/dataset_360.json (or a local capture's copy) and
+// validates it against the schema
+//
+//   {
+//     "coordinate_frame": { ... },            // optional, see coordinateFrames.js
+//     "frames": [
+//       { "position": { "x": 0, "y": 1.6, "z": 0 }, "image_path": "00001.jpg",
+//         "orientation": { "x": 0, "y": 0, "z": 0, "w": 1 },    // optional
+//         "timestamp": 12.48 }                                  // optional
+//     ]
+//   }
+//
+// Legacy field names (pos / coordinates / a bare frame for the position,
+// image / img / texture for the image) are still read but reported. Frames
+// with a non-numeric position are dropped, repeated frames are dropped, and
+// every default filled in is listed in the load report.
+//
+// A frame's capture orientation is either a quaternion "orientation" (in
+// dataset axes, see rotationToView in coordinateFrames.js) or "yaw" / "pitch"
+// / "roll" in degrees (compass heading of the image centre). Invalid ones
+// are ignored and reported.
+//
+// "timestamp" (alias "time") is the capture time in seconds, or an ISO-8601
+// string. Unparseable and non-increasing timestamps are dropped and reported.
+//
+// "level" (alias "floor" / "storey") names the floor a frame was captured on
+// (see captureLevels.js); without it levels are found from camera heights.
+//
+//   { datasetId, status: 'ok' | 'warning' | 'error' | 'demo', errors, total,
+//     loaded, missingImages, nanPositions, duplicates, defaulted, aliases,
+//     badOrientations, badTimestamps, failedImages }
+//
+// (frame lists hold indices into the file's frames array). A synthetic demo
+// path replaces a missing/invalid file only when demo data is enabled.
+// ============================================================================
+
+const POSITION_DEFAULTS = { x: 0, y: 1.6, z: 0 };
+const POSITION_ALIASES = ['pos', 'coordinates'];
+const IMAGE_ALIASES = ['image', 'img', 'texture'];
+const LEVEL_ALIASES = ['floor', 'storey'];
+
+/**
+ * Demo data is opt-in: VITE_DEMO_DATA=true in .env, or ?demo in the URL
+ */
+export function demoDataEnabled() {
+  if (import.meta.env.VITE_DEMO_DATA === 'true') return true;
+  return typeof window !== 'undefined' && new URLSearchParams(window.location.search).has('demo');
+}
+
+const emptyReport = (datasetId) => ({
+  datasetId,
+  source: null, // importer that produced the file (see trajectoryImporters.js)
+  status: 'ok',
+  errors: [],
+  total: 0,
+  loaded: 0,
+  missingImages: [],
+  nanPositions: [],
+  duplicates: [], // { index, of }
+  defaulted: {}, // field → [indices]
+  aliases: {}, // legacy field → count
+  badOrientations: [],
+  badTimestamps: [],
+  failedImages: [], // image paths that failed to load at runtime
+});
+
+const note = (map, key, value) => {
+  (map[key] ??= []).push(value);
+};
+
+const readComponent = (pos, axis) => {
+  if (Array.isArray(pos)) return pos['xyz'.indexOf(axis)];
+  return pos[axis] ?? pos[axis.toUpperCase()];
+};
+
+const isNum = (v) => typeof v === 'number' && isFinite(v);
+
+// { orientation } as { x, y, z, w } / [x, y, z, w] → unit quaternion,
+// { yaw, pitch, roll } → heading in degrees. Empty object when absent / invalid.
+function readOrientation(d, i, report) {
+  const q = d.orientation;
+  if (q != null) {
+    const v = Array.isArray(q) ? q : [q.x, q.y, q.z, q.w];
+    const n = Math.hypot(...v);
+    if (v.length === 4 && v.every(isNum) && n > 1e-9) {
+      return { orientation: { x: v[0] / n, y: v[1] / n, z: v[2] / n, w: v[3] / n } };
+    }
+    report.badOrientations.push(i);
+    return {};
+  }
+
+  if (d.yaw == null && d.pitch == null && d.roll == null) return {};
+  const heading = { yaw: d.yaw ?? 0, pitch: d.pitch ?? 0, roll: d.roll ?? 0 };
+  if (!Object.values(heading).every(isNum)) {
+    report.badOrientations.push(i);
+    return {};
+  }
+  return { heading };
+}
+
+// Seconds, or an ISO-8601 string → seconds since the epoch; undefined when absent
+function readTimestamp(d) {
+  const t = d.timestamp ?? d.time;
+  if (t == null) return undefined;
+  if (typeof t === 'string' && isNaN(Number(t))) {
+    const ms = Date.parse(t);
+    return isNaN(ms) ? null : ms / 1000;
+  }
+  return isNum(Number(t)) ? Number(t) : null;
+}
+
+/**
+ * Validate parsed dataset JSON.
+ * Returns { frames: [{ x, y, z, image_path, orientation?, heading?, timestamp?, level? }], coordinateFrame, report }
+ */
+export function validateDataset(json, datasetId) {
+  const report = emptyReport(datasetId);
+  let coordinateFrame = DEFAULT_FRAME;
+
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    report.errors.push('File is not a JSON object');
+  } else if (!Array.isArray(json.frames)) {
+    report.errors.push('"frames" must be an array');
+  }
+  if (report.errors.length) return { frames: [], coordinateFrame, report: finish(report) };
+
+  if (json.coordinate_frame) {
+    try {
+      coordinateFrame = parseCoordinateFrame(json.coordinate_frame);
+    } catch (err) {
+      report.errors.push(`${err.message} – using the default frame`);
+    }
+  }
+
+  report.source = json.source ?? null;
+  report.total = json.frames.length;
+  const seen = new Map(); // frame key → first index
+  const frames = [];
+
+  json.frames.forEach((d, i) => {
+    if (!d || typeof d !== 'object') {
+      report.nanPositions.push(i);
+      return;
+    }
+
+    let pos = d.position;
+    if (pos == null) {
+      const alias = POSITION_ALIASES.find(k => d[k] != null);
+      if (alias) {
+        pos = d[alias];
+        report.aliases[alias] = (report.aliases[alias] ?? 0) + 1;
+      } else if (['x', 'y', 'z', 'X', 'Y', 'Z'].some(k => k in d)) {
+        // Position written straight onto the frame
+        pos = d;
+        report.aliases['(frame)'] = (report.aliases['(frame)'] ?? 0) + 1;
+      }
+    }
+
+    const p = {};
+    let valid = pos != null && typeof pos === 'object';
+    ['x', 'y', 'z'].forEach(axis => {
+      if (!valid) return;
+      const v = readComponent(pos, axis);
+      if (v == null) {
+        p[axis] = POSITION_DEFAULTS[axis];
+        note(report.defaulted, `position.${axis}`, i);
+      } else if (typeof v === 'number' && isFinite(v)) {
+        p[axis] = v;
+      } else {
+        valid = false;
+      }
+    });
+    if (!valid) {
+      report.nanPositions.push(i);
+      return;
+    }
+
+    let image = d.image_path ?? null;
+    if (image == null) {
+      const alias = IMAGE_ALIASES.find(k => d[k] != null);
+      if (alias) {
+        image = d[alias];
+        report.aliases[alias] = (report.aliases[alias] ?? 0) + 1;
+      }
+    }
+    if (typeof image !== 'string' || !image.trim()) {
+      image = null;
+      report.missingImages.push(i);
+    }
+
+    // Same image (or, without one, same position) twice → keep the first
+    const key = image ?? `${p.x},${p.y},${p.z}`;
+    if (seen.has(key)) {
+      report.duplicates.push({ index: i, of: seen.get(key) });
+      return;
+    }
+    seen.set(key, i);
+
+    const frame = { ...p, image_path: image, ...readOrientation(d, i, report) };
+    const ts = readTimestamp(d);
+    if (ts !== undefined) {
+      const prev = frames[frames.length - 1]?.timestamp;
+      if (ts === null || (prev != null && ts <= prev)) report.badTimestamps.push(i);
+      else frame.timestamp = ts;
+    }
+
+    const level = d[['level', ...LEVEL_ALIASES].find(k => d[k] != null)];
+    if ((typeof level === 'string' && level.trim()) || isNum(level)) frame.level = String(level).trim();
+    frames.push(frame);
+  });
+
+  report.loaded = frames.length;
+  if (!frames.length) report.errors.push('No usable frames');
+  return { frames, coordinateFrame, report: finish(report) };
+}
+
+function finish(report) {
+  const issues =
+    report.missingImages.length +
+    report.nanPositions.length +
+    report.duplicates.length +
+    report.badOrientations.length +
+    report.badTimestamps.length +
+    Object.keys(report.defaulted).length +
+    report.failedImages.length;
+  report.status = !report.loaded ? 'error' : report.errors.length || issues ? 'warning' : 'ok';
+  return report;
+}
+
+/**
+ * Record an image that failed to load after the dataset was accepted
+ */
+export function withFailedImage(report, imagePath) {
+  if (!report || report.failedImages.includes(imagePath)) return report;
+  return finish({ ...report, failedImages: [...report.failedImages, imagePath] });
+}
+
+// Square spiral walk used as demo data
+export function makeDemoFrames(steps = 200, seg = 20) {
+  const dirs = [
+    { x: 1, z: 0 },
+    { x: 0, z: 1 },
+    { x: -1, z: 0 },
+    { x: 0, z: -1 },
+  ];
+  const pts = [];
+  let cx = 0, cz = 0, dir = 0;
+  for (let i = 0; i < steps; i++) {
+    const d = dirs[dir % 4];
+    const len = 0.5 + ((i % seg) * 0.02);
+    cx += d.x * len;
+    cz += d.z * len;
+    pts.push({
+      x: cx + (Math.random() - 0.5) * 0.08,
+      y: 1.6 + (Math.random() - 0.5) * 0.05,
+      z: cz + (Math.random() - 0.5) * 0.08,
+      image_path: null,
+    });
+    if ((i + 1) % seg === 0) dir++;
+  }
+  return pts;
+}
+
+/**
+ * Fetch + validate a dataset.
+ * Returns { frames, coordinateFrame, report }; frames is empty on failure
+ * unless demo data is enabled.
+ */
+export async function loadDataset(datasetId) {
+  const url = datasetUrl(datasetId, 'dataset_360.json');
+  let result;
+
+  try {
+    if (!url) throw new Error('local capture is no longer open');
+    const r = await fetch(url);
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    // The dev server answers unknown paths with index.html
+    const text = await r.text();
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      throw new Error('not valid JSON (missing file?)');
+    }
+    result = validateDataset(json, datasetId);
+  } catch (err) {
+    const report = emptyReport(datasetId);
+    report.errors.push(`Could not load ${datasetId}/dataset_360.json: ${err.message}`);
+    result = { frames: [], coordinateFrame: DEFAULT_FRAME, report: finish(report) };
+  }
+
+  const { report } = result;
+  if (!result.frames.length && demoDataEnabled()) {
+    console.warn('[PANO] ⚠️ Using synthetic demo path for', datasetId);
+    result.frames = makeDemoFrames();
+    report.loaded = result.frames.length;
+    report.status = 'demo';
+  }
+
+  const log = report.status === 'error' ? console.error : report.status === 'ok' ? console.log : console.warn;
+  log(`[PANO] Dataset ${datasetId}: ${report.loaded}/${report.total} frames (${report.status})`, report);
+  return result;
+}
@@ -0,0 +1,66 @@
+// ============================================================================
+// DATASET MANIFEST
+// Captures available under /data/, listed in /data/manifest.json:
+//
+//   {
+//     "datasets": [
+//       { "id": "set5", "name": "Level 2 walk", "date": "2025-03-14",
+//         "frames": 412, "thumbnail": "thumb.jpg" }
+//     ]
+//   }
+//
+// id is the folder name; thumbnail is relative to that folder (or absolute).
+// `npm run manifest` writes the file from public/data/*/dataset_360.json.
+// Without a manifest the bundled set1–set6 are offered.
+// ============================================================================
+
+export const MANIFEST_URL = "/data/manifest.json";
+
+export const FALLBACK_DATASETS = ["set1", "set2", "set3", "set4", "set5", "set6"].map((id) => ({
+  id,
+  name: id,
+  date: null,
+  frames: null,
+  thumbnail: null,
+}));
+
+const resolveThumbnail = (id, thumb) => {
+  if (!thumb) return null;
+  return /^(\/|https?:|data:)/.test(thumb) ? thumb : `/data/${id}/${thumb}`;
+};
+
+/**
+ * Validate manifest JSON → [{ id, name, date, frames, thumbnail }]
+ * Entries without an id are dropped.
+ */
+export function normalizeManifest(json) {
+  const list = Array.isArray(json) ? json : json?.datasets;
+  if (!Array.isArray(list)) throw new Error('Manifest must contain a "datasets" array');
+
+  return list
+    .filter((d) => typeof d?.id === "string" && d.id.trim())
+    .map((d) => ({
+      id: d.id.trim(),
+      name: d.name || d.id.trim(),
+      date: d.date ?? null,
+      frames: Number.isFinite(d.frames) ? d.frames : null,
+      thumbnail: resolveThumbnail(d.id.trim(), d.thumbnail),
+    }));
+}
+
+/**
+ * Fetch the manifest; falls back to FALLBACK_DATASETS when it is missing or invalid
+ */
+export async function loadDatasetManifest() {
+  try {
+    const r = await fetch(MANIFEST_URL);
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    const datasets = normalizeManifest(await r.json());
+    if (!datasets.length) throw new Error("no datasets listed");
+    console.log("[DATASET] Manifest:", datasets.map((d) => d.id).join(", "));
+    return datasets;
+  } catch (err) {
+    console.warn("[DATASET] ⚠️ No usable manifest, offering bundled sets:", err.message);
+    return FALLBACK_DATASETS;
+  }
+}
@@ -0,0 +1,96 @@
+// ============================================================================
+// DRIFT CORRECTION
+// Anchors pin individual pano frames to Forge positions. The residual of the
+// global calibration at each anchor is spread along the capture path:
+// a capture frame takes the offsets of the anchors before and after it (by
+// frame index), interpolated by the distance walked between them, so a path
+// that doubles back never borrows the correction of another stretch.
+// Points that are not frames (or a field built without the frames) are
+// projected onto every anchor-to-anchor segment instead, the two end offsets
+// are interpolated there, and segments within BLEND_RADIUS of the nearest one
+// are blended by distance so the field stays continuous where the path turns.
+// Offsets are in Forge meters and are added on top of the global transform.
+// ============================================================================
+
+// Extra distance (pano meters) past the nearest segment that still blends in
+const BLEND_RADIUS = 1.0;
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const lerp = (a, b, t) => a.map((v, i) => v + (b[i] - v) * t);
+
+const toArray = (p) => (Array.isArray(p) ? p : [p.x, p.y, p.z]).map(Number);
+const keyOf = (p) => toArray(p).join(',');
+
+/**
+ * Build the correction field.
+ * anchors: [{ frameIndex, pano: {x,y,z}|[x,y,z], forge: {x,y,z}|[x,y,z] }]
+ * globalPanoToForge: pano point → Forge point without correction
+ * framePoints: pano position of every capture frame, in frame order (optional)
+ */
+export function buildCorrectionField(anchors, globalPanoToForge, framePoints = []) {
+  if (!anchors?.length) return null;
+
+  const nodes = [...anchors]
+    .sort((a, b) => a.frameIndex - b.frameIndex)
+    .map((a) => {
+      const pano = toArray(a.pano);
+      return { frameIndex: a.frameIndex, pano, offset: sub(toArray(a.forge), globalPanoToForge(pano)) };
+    });
+
+  // Frame lookup (first frame at a position wins) and distance walked up to each frame
+  const frames = new Map();
+  const walked = [];
+  framePoints.forEach((p, i) => {
+    const pt = toArray(p);
+    if (!frames.has(keyOf(pt))) frames.set(keyOf(pt), i);
+    walked.push(i ? walked[i - 1] + Math.hypot(...sub(pt, toArray(framePoints[i - 1]))) : 0);
+  });
+
+  return { nodes, frames, walked };
+}
+
+// Offset at a frame: bracketing anchors, interpolated by distance walked (frame count without it)
+function alongPath({ nodes, walked }, index) {
+  if (index <= nodes[0].frameIndex) return nodes[0].offset;
+  const next = nodes.findIndex((n) => n.frameIndex > index);
+  if (next < 0) return nodes[nodes.length - 1].offset;
+
+  const a = nodes[next - 1], b = nodes[next];
+  const [wa, wi, wb] = [a.frameIndex, index, b.frameIndex].map((i) => walked[i]);
+  const t = wb > wa ? (wi - wa) / (wb - wa) : (index - a.frameIndex) / (b.frameIndex - a.frameIndex);
+  return lerp(a.offset, b.offset, t);
+}
+
+/**
+ * Correction (Forge meters) for a pano point
+ */
+export function correctionAt(field, panoPoint) {
+  const { nodes } = field;
+  if (nodes.length === 1) return nodes[0].offset;
+
+  const frameIndex = field.frames?.get(keyOf(panoPoint));
+  if (frameIndex !== undefined) return alongPath(field, frameIndex);
+
+  const segments = [];
+  for (let i = 0; i < nodes.length - 1; i++) {
+    const a = nodes[i], b = nodes[i + 1];
+    const ab = sub(b.pano, a.pano);
+    const len2 = dot(ab, ab);
+    const t = len2 > 0 ? Math.max(0, Math.min(1, dot(sub(panoPoint, a.pano), ab) / len2)) : 0;
+    segments.push({
+      distance: Math.hypot(...sub(panoPoint, lerp(a.pano, b.pano, t))),
+      offset: lerp(a.offset, b.offset, t),
+    });
+  }
+
+  const nearest = Math.min(...segments.map((s) => s.distance));
+  let wSum = 0;
+  const acc = [0, 0, 0];
+  segments.forEach(({ distance, offset }) => {
+    const w = Math.max(0, 1 - (distance - nearest) / BLEND_RADIUS) ** 2;
+    for (let k = 0; k < 3; k++) acc[k] += w * offset[k];
+    wSum += w;
+  });
+  return acc.map((v) => v / wSum);
+}
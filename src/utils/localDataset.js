@@ -0,0 +1,232 @@
+import { TRAJECTORY_FILES, importTrajectory } from './trajectoryImporters';
+
+// ============================================================================
+// LOCAL DATASETS
+// Captures opened from disk instead of /data/: a dropped or picked folder, or
+// a .zip, holding dataset_360.json (or a COLMAP / OpenSfM / CSV trajectory,
+// see trajectoryImporters.js) plus its images (usually images_360/*.webp).
+// Every file gets an object URL, so the loader and the texture loader read
+// them like any other URL – no server involved. Local datasets are registered
+// under an id "local:<name>" that can be passed to setDatasetId.
+// ============================================================================
+
+const DATASET_FILE = 'dataset_360.json';
+
+const MIME = {
+  json: 'application/json',
+  webp: 'image/webp',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+};
+
+// id → { id, name, urls: Map(relative path → object URL), byName: Map(file name → URL) }
+const registry = new Map();
+
+const cleanPath = (p) => String(p).replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '');
+const baseName = (p) => cleanPath(p).split('/').pop();
+const withType = (blob, path) => {
+  const type = MIME[path.split('.').pop().toLowerCase()];
+  return type && blob.type !== type ? new Blob([blob], { type }) : blob;
+};
+
+export const isLocalDataset = (datasetId) => registry.has(datasetId);
+
+/**
+ * URL of a file inside a dataset – object URL for local datasets, /data/<id>/… otherwise.
+ * Local image paths fall back to images_360/<path> and, unless byName is false,
+ * to a bare file name match (pano tiles share names, so they never use it).
+ */
+export function datasetUrl(datasetId, path, { byName = true } = {}) {
+  const local = registry.get(datasetId);
+  if (!local) return `/data/${datasetId}/${path}`;
+  const rel = cleanPath(path);
+  return local.urls.get(rel) ?? local.urls.get(`images_360/${rel}`) ?? (byName ? local.byName.get(baseName(rel)) : null) ?? null;
+}
+
+export function localDatasets() {
+  return [...registry.values()].map(({ id, name, frames, thumbnail }) => ({ id, name, date: null, frames, thumbnail }));
+}
+
+// ─────────────────────────────────────────────
+// ZIP (central directory + DecompressionStream, no Zip64)
+
+async function readZip(file) {
+  const buf = new DataView(await file.arrayBuffer());
+  let eocd = -1;
+  for (let i = buf.byteLength - 22; i >= Math.max(0, buf.byteLength - 65557); i--) {
+    if (buf.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error(`${file.name} is not a zip file`);
+
+  const count = buf.getUint16(eocd + 10, true);
+  let ptr = buf.getUint32(eocd + 16, true);
+  if (ptr === 0xffffffff) throw new Error('Zip64 archives are not supported – extract the folder instead');
+
+  const decoder = new TextDecoder();
+  const files = new Map();
+  for (let n = 0; n < count; n++) {
+    if (buf.getUint32(ptr, true) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+    const method = buf.getUint16(ptr + 10, true);
+    const size = buf.getUint32(ptr + 20, true);
+    const nameLen = buf.getUint16(ptr + 28, true);
+    const extraLen = buf.getUint16(ptr + 30, true);
+    const commentLen = buf.getUint16(ptr + 32, true);
+    const local = buf.getUint32(ptr + 42, true);
+    const name = decoder.decode(new Uint8Array(buf.buffer, ptr + 46, nameLen));
+    ptr += 46 + nameLen + extraLen + commentLen;
+    if (name.endsWith('/') || name.startsWith('__MACOSX/')) continue;
+
+    const start = local + 30 + buf.getUint16(local + 26, true) + buf.getUint16(local + 28, true);
+    const raw = file.slice(start, start + size);
+    if (method === 0) {
+      files.set(name, raw);
+    } else if (method === 8) {
+      const stream = raw.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      files.set(name, await new Response(stream).blob());
+    } else {
+      console.warn('[LOCAL] ⚠️ Skipping', name, '– unsupported compression method', method);
+    }
+  }
+  return files;
+}
+
+// ─────────────────────────────────────────────
+// Folder sources
+
+// Drag & drop entry (webkitGetAsEntry) → [[path, File]]
+async function readEntry(entry, prefix = '') {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [[prefix + entry.name, file]];
+  }
+  const reader = entry.createReader();
+  const children = [];
+  // readEntries returns batches until empty
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (!batch.length) break;
+    children.push(...batch);
+  }
+  const nested = await Promise.all(children.map(c => readEntry(c, `${prefix}${entry.name}/`)));
+  return nested.flat();
+}
+
+// File System Access directory handle → [[path, File]]
+async function readDirectoryHandle(handle, prefix = '') {
+  const out = [];
+  for await (const child of handle.values()) {
+    if (child.kind === 'file') out.push([prefix + child.name, await child.getFile()]);
+    else out.push(...(await readDirectoryHandle(child, `${prefix}${child.name}/`)));
+  }
+  return out;
+}
+
+/**
+ * Files of a drop event: folders, a zip, or loose files
+ */
+export async function filesFromDrop(dataTransfer) {
+  const entries = [...dataTransfer.items].map(i => i.webkitGetAsEntry?.()).filter(Boolean);
+  const zip = [...dataTransfer.files].find(f => /\.zip$/i.test(f.name));
+  if (zip && entries.length <= 1) return { name: zip.name.replace(/\.zip$/i, ''), files: await readZip(zip) };
+
+  if (entries.length) {
+    const files = (await Promise.all(entries.map(e => readEntry(e)))).flat();
+    const name = entries.length === 1 && entries[0].isDirectory ? entries[0].name : 'dropped';
+    return { name, files: new Map(files) };
+  }
+  return { name: 'dropped', files: new Map([...dataTransfer.files].map(f => [f.name, f])) };
+}
+
+/**
+ * Pick a capture folder (File System Access API) – null when cancelled
+ */
+export async function filesFromDirectoryPicker() {
+  try {
+    const handle = await window.showDirectoryPicker({ id: 'pano-capture', mode: 'read' });
+    return { name: handle.name, files: new Map(await readDirectoryHandle(handle, `${handle.name}/`)) };
+  } catch (err) {
+    if (err.name === 'AbortError') return null;
+    throw err;
+  }
+}
+
+export const canPickDirectory = () => typeof window !== 'undefined' && 'showDirectoryPicker' in window;
+
+/**
+ * Files from an <input type="file"> (a zip, or a folder via webkitdirectory)
+ */
+export async function filesFromInput(fileList) {
+  const list = [...fileList];
+  if (list.length === 1 && /\.zip$/i.test(list[0].name)) {
+    return { name: list[0].name.replace(/\.zip$/i, ''), files: await readZip(list[0]) };
+  }
+  const name = list[0]?.webkitRelativePath?.split('/')[0] || 'local';
+  return { name, files: new Map(list.map(f => [f.webkitRelativePath || f.name, f])) };
+}
+
+// ─────────────────────────────────────────────
+// Registration
+
+/**
+ * Register a capture read by one of the functions above.
+ * Paths are taken relative to the folder holding dataset_360.json; imported
+ * trajectories resolve their images by file name.
+ * Returns the manifest-style entry { id, name, date, frames, thumbnail }.
+ */
+export async function registerLocalDataset({ name, files }) {
+  const keys = [...files.keys()];
+  const shallowest = (test) =>
+    keys.filter(k => test(baseName(k))).sort((a, b) => cleanPath(a).split('/').length - cleanPath(b).split('/').length)[0];
+
+  // dataset_360.json, else the first trajectory export found
+  const datasetKey = shallowest(n => n === DATASET_FILE) ?? TRAJECTORY_FILES.map(re => shallowest(n => re.test(n))).find(Boolean);
+  if (!datasetKey) throw new Error(`No ${DATASET_FILE} or trajectory export found in "${name}"`);
+  const datasetPath = cleanPath(datasetKey);
+  const imported = baseName(datasetPath) !== DATASET_FILE;
+  // SfM exports keep images beside the model folder (COLMAP sparse/0 → images/) – use every file
+  const root = imported ? '' : datasetPath.slice(0, datasetPath.length - DATASET_FILE.length);
+
+  let json;
+  try {
+    json = importTrajectory(datasetPath, await files.get(datasetKey).text());
+  } catch (err) {
+    throw new Error(`${baseName(datasetPath)}: ${err.message}`);
+  }
+  if (imported) {
+    console.log(`[LOCAL] Imported ${json.frames.length} frames from ${datasetPath} (${json.source})`);
+  }
+
+  const id = `local:${name}`;
+  unregisterLocalDataset(id);
+
+  const urls = new Map();
+  const byName = new Map();
+  files.forEach((blob, key) => {
+    const p = cleanPath(key);
+    if (!p.startsWith(root)) return;
+    const url = URL.createObjectURL(withType(blob, p));
+    urls.set(p.slice(root.length), url);
+    if (!byName.has(baseName(p))) byName.set(baseName(p), url);
+  });
+
+  // The loader always reads dataset_360.json – imported trajectories get a generated one
+  if (imported) urls.set(DATASET_FILE, URL.createObjectURL(new Blob([JSON.stringify(json)], { type: MIME.json })));
+
+  const frames = Array.isArray(json.frames) ? json.frames : [];
+  const entry = { id, name: json.name || name, urls, byName, frames: frames.length, thumbnail: null };
+  registry.set(id, entry);
+
+  const first = frames[0]?.image_path || frames[0]?.image || frames[0]?.img || frames[0]?.texture;
+  entry.thumbnail = first ? datasetUrl(id, first) : null;
+
+  console.log(`[LOCAL] ✅ Registered ${id}: ${frames.length} frames, ${urls.size} files`);
+  return localDatasets().find(d => d.id === id);
+}
+
+export function unregisterLocalDataset(id) {
+  const entry = registry.get(id);
+  if (!entry) return;
+  entry.urls.forEach(url => URL.revokeObjectURL(url));
+  registry.delete(id);
+}
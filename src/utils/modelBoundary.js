@@ -0,0 +1,160 @@
+// ============================================================================
+// MODEL BOUNDARY
+// Walkable outline of a model on its floor, in Forge world meters (XY):
+//
+//   { z, polygons: [{ outer: [[x, y], ...], holes: [[[x, y], ...], ...] }] }
+//
+// Several polygons cover detached wings; holes cut out courtyards and
+// shafts. A point is inside when it lies in some outer ring and in none of
+// that polygon's holes. z is the floor height the editor draws at.
+// Boundaries are drawn in the Forge viewer and saved per model URN.
+// ============================================================================
+
+import { UNITS } from "./units";
+
+const BOUNDARIES_KEY = "revit-pano-model-boundaries-v1";
+
+// Clamped points end up this far inside the nearest edge (meters – the
+// 0.5 ft margin of the legacy clamp)
+export const BOUNDARY_MARGIN = 0.15;
+
+// Outline of the sample building (used until one is drawn)
+export const DEFAULT_BOUNDARY = {
+  z: 0,
+  polygons: [
+    {
+      outer: [
+        [24, 38],
+        [19, 38],
+        [13, 33],
+        [12, 12],
+        [24, 12],
+      ],
+      holes: [],
+    },
+  ],
+};
+
+// Clamp outline of the camera transforms before boundaries could be drawn.
+// It was in feet; kept (converted to meters) so the boundary editor can
+// start from it for models that relied on the old clamp.
+const LEGACY_CLAMP_FEET = [
+  [79.7, 39.5],
+  [39.8, 39.8],
+  [41.7, 106.7],
+  [63.2, 107.2],
+  [63.2, 125.3],
+  [79.7, 127.3],
+];
+
+export const LEGACY_CLAMP_BOUNDARY = {
+  z: 0,
+  polygons: [{ outer: LEGACY_CLAMP_FEET.map((p) => p.map((v) => v * UNITS.ft.toMeters)), holes: [] }],
+};
+
+const isPoint = (p) => Array.isArray(p) && p.length >= 2 && p.slice(0, 2).every((v) => typeof v === "number" && isFinite(v));
+const isRing = (r) => Array.isArray(r) && r.length >= 3 && r.every(isPoint);
+
+/**
+ * Accepts a boundary object or a bare [[x, y], ...] ring; drops rings with
+ * fewer than 3 vertices. Returns null when nothing usable is left.
+ */
+export function normalizeBoundary(value) {
+  if (!value) return null;
+  const polygons = (Array.isArray(value) ? [{ outer: value }] : value.polygons ?? [])
+    .filter((poly) => isRing(poly?.outer))
+    .map((poly) => ({
+      outer: poly.outer.map((p) => [p[0], p[1]]),
+      holes: (poly.holes ?? []).filter(isRing).map((h) => h.map((p) => [p[0], p[1]])),
+    }));
+  if (!polygons.length) return null;
+  return { z: isFinite(value.z) ? value.z : 0, polygons };
+}
+
+// ─────────────────────────────────────────────
+// Geometry
+
+// ✅ 2D point-in-ring (ray casting)
+function inRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+export function pointInBoundary(boundary, point) {
+  return boundary.polygons.some(
+    (poly) => inRing(point, poly.outer) && !poly.holes.some((h) => inRing(point, h))
+  );
+}
+
+// Closest point on any edge of any ring
+function nearestEdgePoint(boundary, [x, y]) {
+  let best = { point: [x, y], distance: Infinity };
+  boundary.polygons.forEach((poly) => {
+    [poly.outer, ...poly.holes].forEach((ring) => {
+      ring.forEach((a, i) => {
+        const b = ring[(i + 1) % ring.length];
+        const dx = b[0] - a[0], dy = b[1] - a[1];
+        const len2 = dx * dx + dy * dy;
+        const t = len2 > 0 ? Math.max(0, Math.min(1, ((x - a[0]) * dx + (y - a[1]) * dy) / len2)) : 0;
+        const q = [a[0] + t * dx, a[1] + t * dy];
+        const d = Math.hypot(x - q[0], y - q[1]);
+        if (d < best.distance) best = { point: q, distance: d };
+      });
+    });
+  });
+  return best;
+}
+
+/**
+ * Keep an XY point inside the boundary: points outside (or inside a hole)
+ * move across the nearest edge, `margin` past it.
+ * Returns { x, y, wasClamped, originalDistance? }
+ */
+export function clampToBoundary(boundary, x, y, margin = BOUNDARY_MARGIN) {
+  if (pointInBoundary(boundary, [x, y])) return { x, y, wasClamped: false };
+
+  const { point, distance } = nearestEdgePoint(boundary, [x, y]);
+  const ux = distance > 0 ? (point[0] - x) / distance : 0;
+  const uy = distance > 0 ? (point[1] - y) / distance : 0;
+  const pushed = [point[0] + ux * margin, point[1] + uy * margin];
+
+  // Thin corners can push straight out again – fall back to the edge itself
+  const [cx, cy] = pointInBoundary(boundary, pushed) ? pushed : point;
+  return { x: cx, y: cy, wasClamped: true, originalDistance: distance };
+}
+
+// ─────────────────────────────────────────────
+// Persistence (localStorage, keyed by model URN)
+
+function readStore() {
+  try {
+    return JSON.parse(localStorage.getItem(BOUNDARIES_KEY) || "{}") || {};
+  } catch (e) {
+    console.warn("[BOUNDARY] Corrupt boundary store → starting fresh", e);
+    return {};
+  }
+}
+
+/**
+ * Saved boundary for a model, or null when none has been drawn
+ */
+export function loadBoundary(urn) {
+  return normalizeBoundary(readStore()[urn ?? ""]);
+}
+
+export function saveBoundary(urn, boundary) {
+  const store = readStore();
+  const normalized = normalizeBoundary(boundary);
+  if (normalized) {
+    store[urn ?? ""] = { ...normalized, updatedAt: new Date().toISOString() };
+  } else {
+    delete store[urn ?? ""];
+  }
+  localStorage.setItem(BOUNDARIES_KEY, JSON.stringify(store));
+  return normalized;
+}
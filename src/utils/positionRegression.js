@@ -0,0 +1,131 @@
+import { Matrix, solve } from 'ml-matrix';
+
+// ============================================================================
+// POSITION REGRESSION
+// Polynomial correction from a pano pose to a Forge XY offset:
+//
+//   forge.xy = anchor.xy + Σ coeff · term(pano)
+//
+// fitted by least squares on recorded samples
+//   { pano: [x, y, z], anchor: [x, y], forge: [x, y, z] }
+// (pano pose, the anchor the offset is added to – panoToForge of the
+// current calibration – and the true Forge position the user navigated to).
+// Fitted models are stored on the calibration profile; ForgeViewer passes
+// the active one to transformPanoToForge for the camera sync. Each fit keeps
+// the fingerprint of the calibration its anchors came from and only applies
+// while that calibration is active.
+// ============================================================================
+
+const TERM_FNS = {
+  1: () => 1,
+  x: ([x]) => x,
+  y: ([, y]) => y,
+  z: ([, , z]) => z,
+  xx: ([x]) => x * x,
+  yy: ([, y]) => y * y,
+  zz: ([, , z]) => z * z,
+  xy: ([x, y]) => x * y,
+  xz: ([x, , z]) => x * z,
+  yz: ([, y, z]) => y * z,
+};
+
+export const REGRESSION_MODELS = {
+  linear: { label: 'Linear', terms: ['x', 'y', 'z', '1'] },
+  quadratic: { label: 'Degree 2', terms: ['x', 'y', 'z', 'xx', 'yy', 'zz', 'xy', 'xz', 'yz', '1'] },
+};
+
+export const DEFAULT_REGRESSION_MODEL = 'quadratic';
+
+const featureRow = (terms, pano) => terms.map(t => TERM_FNS[t](pano));
+
+/**
+ * Forge XY offset [dx, dy] for a pano pose
+ */
+export function applyRegression(regression, pano) {
+  const row = featureRow(regression.terms, pano);
+  const dot = (c) => c.reduce((s, v, i) => s + v * row[i], 0);
+  return [dot(regression.coeffs.x), dot(regression.coeffs.y)];
+}
+
+// Everything panoToForge depends on: transform, dataset frame, drift anchors
+const fingerprints = new WeakMap();
+
+/**
+ * Short stable hash of a calibration's pano → Forge mapping (null → null)
+ */
+export function calibrationFingerprint(calibration) {
+  if (!calibration) return null;
+  if (fingerprints.has(calibration)) return fingerprints.get(calibration);
+
+  const round = (_, v) => (typeof v === 'number' ? Number(v.toPrecision(10)) : v);
+  const text = JSON.stringify({
+    matrix: calibration.matrix,
+    translation: calibration.translation,
+    frame: calibration.frame ?? null,
+    anchors: calibration.anchors ?? [],
+  }, round);
+  // FNV-1a
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  const fingerprint = (hash >>> 0).toString(16).padStart(8, '0');
+  fingerprints.set(calibration, fingerprint);
+  return fingerprint;
+}
+
+/**
+ * True when the regression was fitted against this calibration's anchors
+ */
+export function regressionMatches(regression, calibration) {
+  return !!regression && !!calibration && regression.calibration === calibrationFingerprint(calibration);
+}
+
+const mean = (arr) => arr.reduce((a, b) => a + b, 0) / arr.length;
+
+/**
+ * Least-squares fit of a correction model. `calibration` is the one the
+ * sample anchors were taken from.
+ * Returns { model, terms, coeffs: { x, y }, stats, samples, calibration, fittedAt }
+ * stats: { n, rmse, maxError, r2: { x, y }, errors }
+ */
+export function fitRegression(samples, model = DEFAULT_REGRESSION_MODEL, calibration = null) {
+  const spec = REGRESSION_MODELS[model];
+  if (!spec) throw new Error(`Unknown regression model "${model}"`);
+  if (samples.length < spec.terms.length) {
+    throw new Error(`${spec.label} needs at least ${spec.terms.length} samples (have ${samples.length})`);
+  }
+
+  const X = new Matrix(samples.map(s => featureRow(spec.terms, s.pano)));
+  const targets = samples.map(s => [s.forge[0] - s.anchor[0], s.forge[1] - s.anchor[1]]);
+  // SVD solve → least squares, stable when terms are nearly dependent
+  const B = solve(X, new Matrix(targets), true);
+  const coeffs = { x: B.getColumn(0), y: B.getColumn(1) };
+
+  const fitted = { model, terms: spec.terms, coeffs };
+  const predictions = samples.map(s => applyRegression(fitted, s.pano));
+  const errors = predictions.map((p, i) => Math.hypot(p[0] - targets[i][0], p[1] - targets[i][1]));
+
+  const r2 = (axis) => {
+    const t = targets.map(v => v[axis]);
+    const m = mean(t);
+    const ssTot = t.reduce((s, v) => s + (v - m) ** 2, 0);
+    const ssRes = t.reduce((s, v, i) => s + (v - predictions[i][axis]) ** 2, 0);
+    return ssTot > 0 ? 1 - ssRes / ssTot : 1;
+  };
+
+  return {
+    ...fitted,
+    stats: {
+      n: samples.length,
+      rmse: Math.sqrt(mean(errors.map(e => e * e))),
+      maxError: Math.max(...errors),
+      r2: { x: r2(0), y: r2(1) },
+      errors,
+    },
+    samples,
+    calibration: calibrationFingerprint(calibration),
+    fittedAt: new Date().toISOString(),
+  };
+}
@@ -0,0 +1,154 @@
+import { calculateCalibration, withDriftCorrection } from './calibratePanoToForge';
+import { CALIBRATION_MODELS, DEFAULT_MODEL } from './calibrationEngine';
+import { getSelectedProfile } from './calibrationProfiles';
+import { transformPanoToForgeWithBoundary } from './camera_transformation';
+import { loadDataset } from './datasetLoader';
+import { loadBoundary } from './modelBoundary';
+
+// ============================================================================
+// SITE WORKSPACE
+// Large sites are captured in several walks, each with its own origin. A site
+// groups those sessions (dataset ids) for one model:
+//
+//   { datasets: ['set1', 'set2', ...] }          // saved per model URN
+//
+// Every session is placed in the shared Forge frame by its own calibration –
+// the profile selected for that dataset + model (see calibrationProfiles.js)
+// – so sessions line up wherever they were calibrated. Frames are placed the
+// way the camera sync places them: the profile's regression on top and the
+// model boundary clamp. Loaded sessions:
+//
+//   { datasetId, color, status: 'ok' | 'uncalibrated' | 'error', frames,
+//     calibration, regression, forgePoints: [[x, y, z] Forge meters per frame] }
+// ============================================================================
+
+const SITES_KEY = 'revit-pano-sites-v1';
+
+// Session path colours, in site order
+export const SESSION_COLORS = ['#06b6d4', '#f97316', '#a855f7', '#22c55e', '#ef4444', '#eab308', '#ec4899', '#3b82f6'];
+
+export const sessionColor = (index) => SESSION_COLORS[index % SESSION_COLORS.length];
+
+// ─────────────────────────────────────────────
+// Persistence (localStorage, keyed by model URN)
+
+function readSites() {
+  try {
+    return JSON.parse(localStorage.getItem(SITES_KEY) || '{}') || {};
+  } catch {
+    return {};
+  }
+}
+
+export function loadSite(urn) {
+  const site = readSites()[urn ?? ''];
+  return { datasets: Array.isArray(site?.datasets) ? site.datasets : [] };
+}
+
+export function saveSite(urn, site) {
+  const sites = readSites();
+  sites[urn ?? ''] = { datasets: site.datasets };
+  localStorage.setItem(SITES_KEY, JSON.stringify(sites));
+  return site;
+}
+
+// ─────────────────────────────────────────────
+// Sessions
+
+const toPoint = (p) => [parseFloat(p.x), parseFloat(p.y), parseFloat(p.z)];
+const isComplete = (pair) => [...toPoint(pair.pano), ...toPoint(pair.revit)].every((v) => isFinite(v));
+
+/**
+ * Calibration of a saved profile (as SplitPane applies it), null when it has
+ * too few complete pairs or does not solve. frames: the dataset's frames, for
+ * drift correction along the path
+ */
+export function profileCalibration(profile, frame, frames = []) {
+  if (!profile) return null;
+  const options = profile.options ?? {};
+  const model = options.model ?? DEFAULT_MODEL;
+  const pairs = (profile.pairs ?? []).filter(isComplete);
+  if (pairs.length < (CALIBRATION_MODELS[model] ?? CALIBRATION_MODELS[DEFAULT_MODEL]).minPairs) return null;
+
+  try {
+    const calibration = calculateCalibration(
+      pairs.map((p) => toPoint(p.pano)),
+      pairs.map((p) => toPoint(p.revit)),
+      {
+        model,
+        robust: options.robust,
+        heightOffset: options.heightOffset,
+        revitUnit: options.revitUnit,
+        threshold: parseFloat(options.threshold) || undefined,
+        frame,
+        silent: true,
+      }
+    );
+    return profile.anchors?.length
+      ? withDriftCorrection(calibration, profile.anchors, frames.map((f) => [f.x, f.y, f.z]))
+      : calibration;
+  } catch (err) {
+    console.warn(`[SITE] ⚠️ Profile "${profile.name}" does not solve:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Forge positions of a session's frames under a calibration – same transform
+ * as the camera sync (transformPanoToForgeWithBoundary)
+ */
+export const sessionForgePoints = (frames, calibration, { regression = null, boundary = null } = {}) =>
+  calibration
+    ? frames.map((f) => {
+        const { x, y, z } = transformPanoToForgeWithBoundary([f.x, f.y, f.z], calibration, { regression, boundary });
+        return [x, y, z];
+      })
+    : [];
+
+/**
+ * Load every dataset of a site with its own calibration
+ */
+export async function loadSiteSessions(datasetIds, urn) {
+  const boundary = loadBoundary(urn);
+  return Promise.all(
+    datasetIds.map(async (datasetId, i) => {
+      const { frames, coordinateFrame, report } = await loadDataset(datasetId);
+      const profile = getSelectedProfile(datasetId, urn);
+      const calibration = frames.length ? profileCalibration(profile, coordinateFrame, frames) : null;
+      const regression = profile?.regression ?? null;
+      const status = !frames.length ? 'error' : calibration ? 'ok' : 'uncalibrated';
+      if (status !== 'ok') console.warn(`[SITE] ⚠️ Session ${datasetId}: ${status}`, report.errors);
+      return {
+        datasetId,
+        color: sessionColor(i),
+        status,
+        frames,
+        calibration,
+        regression,
+        forgePoints: sessionForgePoints(frames, calibration, { regression, boundary }),
+      };
+    })
+  );
+}
+
+/**
+ * Nearest frame of every other calibrated session to a Forge point:
+ * [{ datasetId, color, index, distance }] sorted by distance
+ */
+export function nearestFrames(sessions, forgePoint, excludeId) {
+  return sessions
+    .filter((s) => s.datasetId !== excludeId && s.forgePoints.length)
+    .map((s) => {
+      let index = 0;
+      let best = Infinity;
+      s.forgePoints.forEach((p, i) => {
+        const d = (p[0] - forgePoint[0]) ** 2 + (p[1] - forgePoint[1]) ** 2 + (p[2] - forgePoint[2]) ** 2;
+        if (d < best) {
+          best = d;
+          index = i;
+        }
+      });
+      return { datasetId: s.datasetId, color: s.color, index, distance: Math.sqrt(best) };
+    })
+    .sort((a, b) => a.distance - b.distance);
+}
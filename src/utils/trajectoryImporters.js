@@ -0,0 +1,217 @@
+// Explicit extension: also imported by Node (scripts/import-trajectory.js)
+import { cameraToOrientation, parseCoordinateFrame } from './coordinateFrames.js';
+
+// ============================================================================
+// TRAJECTORY IMPORTERS
+// Convert SfM / SLAM exports into the dataset_360.json structure:
+//
+//   { source, coordinate_frame?, frames: [{ position: { x, y, z },
+//     orientation: { x, y, z, w }, timestamp?, image_path }] }
+//
+// orientation is the frame orientation of dataset_360.json (rotation in
+// dataset axes away from "image centre facing north, upright", see
+// coordinateFrames.js). SfM tools use +Z forward / +Y down cameras, so their
+// rotations are flipped 180° about X before conversion.
+//
+//   COLMAP    images.txt          world→camera quaternion + translation
+//                                 (gravity assumed along +Y, as COLMAP's
+//                                 upright cameras usually leave it)
+//   OpenSfM   reconstruction.json world→camera angle-axis + translation (ENU)
+//   CSV       timestamp, x, y, z, qx, qy, qz, qw, image – quaternion already
+//             a frame orientation; an optional "level" column is kept
+//
+// Pure functions (no DOM) – used by the local capture loader and by
+// scripts/import-trajectory.js.
+// ============================================================================
+
+// ─────────────────────────────────────────────
+// Quaternion helpers ({ x, y, z, w })
+
+const qMul = (a, b) => ({
+  w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z,
+  x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+  y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+  z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w,
+});
+
+const qConj = (q) => ({ x: -q.x, y: -q.y, z: -q.z, w: q.w });
+
+// Rotate vector v by q
+const qRotate = (q, [x, y, z]) => {
+  const r = qMul(qMul(q, { x, y, z, w: 0 }), qConj(q));
+  return [r.x, r.y, r.z];
+};
+
+const qNormalize = (q) => {
+  const n = Math.hypot(q.x, q.y, q.z, q.w);
+  return { x: q.x / n, y: q.y / n, z: q.z / n, w: q.w / n };
+};
+
+// Angle-axis vector (OpenSfM / OpenCV rvec) → quaternion
+const qFromAngleAxis = ([rx, ry, rz]) => {
+  const angle = Math.hypot(rx, ry, rz);
+  if (angle < 1e-12) return { x: 0, y: 0, z: 0, w: 1 };
+  const s = Math.sin(angle / 2) / angle;
+  return { x: rx * s, y: ry * s, z: rz * s, w: Math.cos(angle / 2) };
+};
+
+// Camera +Z forward / +Y down → three.js camera (-Z forward / +Y up)
+const FLIP_X = { x: 1, y: 0, z: 0, w: 0 };
+
+/**
+ * World→camera pose (SfM convention) → { position, orientation } in dataset terms
+ */
+function fromWorldToCamera(qWorldToCam, t, frame) {
+  const camToWorld = qConj(qWorldToCam);
+  const [cx, cy, cz] = qRotate(camToWorld, t).map((v) => -v || 0); // C = -Rᵀ t
+  return {
+    position: { x: cx, y: cy, z: cz },
+    orientation: qNormalize(cameraToOrientation(qMul(camToWorld, FLIP_X), frame)),
+  };
+}
+
+const byName = (a, b) => a.image_path.localeCompare(b.image_path, undefined, { numeric: true });
+
+// ─────────────────────────────────────────────
+// COLMAP images.txt
+
+/**
+ * COLMAP text export: two lines per image
+ *   IMAGE_ID QW QX QY QZ TX TY TZ CAMERA_ID NAME
+ *   POINTS2D[] as (X, Y, POINT3D_ID)
+ */
+// Right-handed, Y down (gravity), Z forward of the first cameras
+const COLMAP_FRAME = { id: 'colmap', label: 'COLMAP (Y down)', handedness: 'right', up: '-y', north: '+z' };
+
+export function importColmapImages(text) {
+  const frame = parseCoordinateFrame(COLMAP_FRAME);
+  const lines = text.split(/\r?\n/).filter((l) => !l.startsWith('#'));
+  const frames = [];
+
+  // Image line + POINTS2D line (possibly empty) per image
+  for (let i = 0; i < lines.length; i += 2) {
+    if (!lines[i].trim()) continue;
+    const parts = lines[i].trim().split(/\s+/);
+    const [qw, qx, qy, qz, tx, ty, tz] = parts.slice(1, 8).map(Number);
+    if (parts.length < 10 || ![qw, qx, qy, qz, tx, ty, tz].every(isFinite)) {
+      throw new Error(`COLMAP: invalid image line "${lines[i].slice(0, 60)}"`);
+    }
+    frames.push({
+      ...fromWorldToCamera({ x: qx, y: qy, z: qz, w: qw }, [tx, ty, tz], frame),
+      image_path: parts.slice(9).join(' '),
+    });
+  }
+
+  if (!frames.length) throw new Error('COLMAP: no images found in images.txt');
+  return { source: 'colmap', coordinate_frame: COLMAP_FRAME, frames: frames.sort(byName) };
+}
+
+// ─────────────────────────────────────────────
+// OpenSfM reconstruction.json
+
+// Topocentric ENU: x = east, y = north, z = up
+const OPENSFM_FRAME = { id: 'opensfm', label: 'OpenSfM (ENU, Z up)', handedness: 'right', up: '+z', north: '+y' };
+
+/**
+ * OpenSfM reconstruction.json – the largest reconstruction is imported
+ */
+export function importOpenSfm(json) {
+  const recs = Array.isArray(json) ? json : [json];
+  const rec = recs
+    .filter((r) => r && typeof r.shots === 'object')
+    .sort((a, b) => Object.keys(b.shots).length - Object.keys(a.shots).length)[0];
+  if (!rec) throw new Error('OpenSfM: no reconstruction with "shots" found');
+  if (recs.length > 1) {
+    console.warn(`[IMPORT] ⚠️ OpenSfM: ${recs.length} reconstructions, using the largest (${Object.keys(rec.shots).length} shots)`);
+  }
+
+  const frame = parseCoordinateFrame(OPENSFM_FRAME);
+  const frames = Object.entries(rec.shots).map(([name, shot]) => {
+    if (!Array.isArray(shot.rotation) || !Array.isArray(shot.translation)) {
+      throw new Error(`OpenSfM: shot "${name}" has no rotation / translation`);
+    }
+    const out = {
+      ...fromWorldToCamera(qFromAngleAxis(shot.rotation), shot.translation, frame),
+      image_path: name,
+    };
+    if (isFinite(shot.capture_time)) out.timestamp = shot.capture_time;
+    return out;
+  });
+
+  const hasTime = frames.every((f) => f.timestamp != null);
+  frames.sort(hasTime ? (a, b) => a.timestamp - b.timestamp || byName(a, b) : byName);
+  return { source: 'opensfm', coordinate_frame: OPENSFM_FRAME, frames };
+}
+
+// ─────────────────────────────────────────────
+// CSV
+
+const CSV_COLUMNS = ['timestamp', 'x', 'y', 'z', 'qx', 'qy', 'qz', 'qw', 'image'];
+const CSV_ALIASES = { time: 'timestamp', t: 'timestamp', image_path: 'image', file: 'image', filename: 'image', floor: 'level' };
+
+/**
+ * CSV / TSV trajectory. A header row (any column order, names as in
+ * CSV_COLUMNS, plus "level") is optional; without one the columns are taken
+ * in that order.
+ */
+export function importCsvTrajectory(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim() && !l.startsWith('#'));
+  if (!lines.length) throw new Error('CSV: file is empty');
+  const delimiter = [',', ';', '\t'].find((d) => lines[0].includes(d)) ?? /\s+/;
+  const rows = lines.map((l) => l.trim().split(delimiter).map((c) => c.trim().replace(/^"(.*)"$/, '$1')));
+
+  let columns = CSV_COLUMNS;
+  if (!isFinite(Number(rows[0][0])) || rows[0][0] === '') {
+    columns = rows.shift().map((h) => {
+      const key = h.toLowerCase();
+      return CSV_ALIASES[key] ?? key;
+    });
+    ['x', 'y', 'z'].forEach((c) => {
+      if (!columns.includes(c)) throw new Error(`CSV: missing column "${c}"`);
+    });
+  }
+
+  const frames = rows.map((cells, i) => {
+    const row = Object.fromEntries(columns.map((c, k) => [c, cells[k]]));
+    const num = (c) => (row[c] == null || row[c] === '' ? null : Number(row[c]));
+    const [x, y, z] = ['x', 'y', 'z'].map(num);
+    if (![x, y, z].every((v) => v != null && isFinite(v))) {
+      throw new Error(`CSV: row ${i + 1} has an invalid position`);
+    }
+
+    const frame = { position: { x, y, z }, image_path: row.image || null };
+    const q = ['qx', 'qy', 'qz', 'qw'].map(num);
+    if (q.every((v) => v != null && isFinite(v)) && Math.hypot(...q) > 0) {
+      frame.orientation = qNormalize({ x: q[0], y: q[1], z: q[2], w: q[3] });
+    }
+    const ts = num('timestamp');
+    if (ts != null && isFinite(ts)) frame.timestamp = ts;
+    if (row.level) frame.level = row.level;
+    return frame;
+  });
+
+  return { source: 'csv', frames };
+}
+
+// ─────────────────────────────────────────────
+// Dispatch
+
+// File names the local loader looks for, in order of preference
+export const TRAJECTORY_FILES = [/^images\.txt$/i, /^reconstruction\.json$/i, /\.(csv|tsv)$/i];
+
+/**
+ * Import a trajectory file by name / content.
+ * dataset_360.json content is returned unchanged.
+ */
+export function importTrajectory(fileName, text) {
+  const name = fileName.split('/').pop().toLowerCase();
+
+  if (name.endsWith('.json')) {
+    const json = JSON.parse(text);
+    if (Array.isArray(json.frames)) return json;
+    return importOpenSfm(json);
+  }
+  if (name === 'images.txt') return importColmapImages(text);
+  if (/\.(csv|tsv|txt)$/.test(name)) return importCsvTrajectory(text);
+  throw new Error(`Unknown trajectory format: ${fileName}`);
+}
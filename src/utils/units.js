@@ -0,0 +1,82 @@
+// Length units – calibration solves in meters; everything else converts at the edges
+
+export const UNITS = {
+  m:  { label: "meters",      toMeters: 1 },
+  cm: { label: "centimeters", toMeters: 0.01 },
+  mm: { label: "millimeters", toMeters: 0.001 },
+  ft: { label: "feet",        toMeters: 0.3048 },
+  in: { label: "inches",      toMeters: 0.0254 },
+};
+
+// Pano datasets are recorded in meters
+export const PANO_UNITS = "m";
+
+const factor = (unit) => {
+  const u = UNITS[unit];
+  if (!u) throw new Error(`Unknown unit "${unit}"`);
+  return u.toMeters;
+};
+
+export const toMeters = (value, unit) => value * factor(unit);
+export const fromMeters = (value, unit) => value / factor(unit);
+
+export const convertLength = (value, from, to) => (from === to ? value : (value * factor(from)) / factor(to));
+
+/**
+ * Convert an [x,y,z] array or {x,y,z} object between units (same shape out)
+ */
+export function convertPoint(point, from, to) {
+  if (Array.isArray(point)) return point.map((v) => convertLength(v, from, to));
+  return {
+    ...point,
+    x: convertLength(point.x, from, to),
+    y: convertLength(point.y, from, to),
+    z: convertLength(point.z, from, to),
+  };
+}
+
+export const formatLength = (meters, unit = "m", digits = 3) =>
+  `${fromMeters(meters, unit).toFixed(digits)} ${unit}`;
+
+// Unit names as Forge / APS report them ("ft", "decimal-ft", "ft-and-fractional-in",
+// "autodesk.unit.unit:millimeters-1.0.1", ...). Order matters: mixed feet-and-inch
+// formats are feet, and "millimeters" also contains "meters".
+const UNIT_PATTERNS = [
+  ["ft", /feet|foot|(^|[^a-z])ft($|[^a-z])/],
+  ["in", /inch|(^|[^a-z])in($|[^a-z])/],
+  ["mm", /millimet|(^|[^a-z])mm($|[^a-z])/],
+  ["cm", /centimet|(^|[^a-z])cm($|[^a-z])/],
+  ["m", /met(er|re)s?($|[^a-z])|(^|[^a-z])m($|[^a-z])/],
+];
+
+/**
+ * Length unit key for a unit name / id, or null when it is not a known length unit
+ */
+export function matchUnit(name) {
+  const text = String(name ?? "").toLowerCase();
+  if (!text) return null;
+  return UNIT_PATTERNS.find(([, re]) => re.test(text))?.[0] ?? null;
+}
+
+/**
+ * Units of a loaded Forge model: { unit, scale, raw, known }.
+ * getUnitString() names the model's length unit; getUnitScale() is meters
+ * per model unit and decides when the name is missing or unknown.
+ */
+export function forgeModelUnits(model) {
+  const raw = model?.getUnitString?.() ?? "";
+  const scale = model?.getUnitScale?.();
+  const hasScale = Number.isFinite(scale) && scale > 0;
+
+  let unit = matchUnit(raw);
+  if (!unit && hasScale) {
+    unit = Object.keys(UNITS).find((k) => Math.abs(UNITS[k].toMeters - scale) < 1e-6) ?? null;
+  }
+
+  return {
+    unit: unit ?? "m",
+    scale: hasScale ? scale : factor(unit ?? "m"),
+    raw,
+    known: !!unit,
+  };
+}